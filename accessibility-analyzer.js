@@ -0,0 +1,319 @@
+class AccessibilityAnalyzer {
+  constructor() {
+    this.findings = {
+      images: [],
+      forms: [],
+      names: [],
+      structure: [],
+      keyboard: []
+    };
+  }
+
+  async analyzeAccessibility() {
+    this.analyzeImages();
+    this.analyzeFormLabels();
+    this.analyzeAccessibleNames();
+    this.analyzeDocumentStructure();
+    this.analyzeKeyboardAccess();
+
+    return this.generateReport();
+  }
+
+  analyzeImages() {
+    const missingAlt = document.querySelectorAll('img:not([alt]):not([role="presentation"]):not([aria-hidden="true"])');
+    if (missingAlt.length > 0) {
+      this.findings.images.push({
+        type: 'Missing Alt Text',
+        severity: 'high',
+        wcag: '1.1.1',
+        count: missingAlt.length,
+        issue: `${missingAlt.length} images have no alt attribute`,
+        examples: Array.from(missingAlt).slice(0, 3).map(img => img.currentSrc || img.src)
+      });
+    }
+
+    const unlabeledSvgs = Array.from(document.querySelectorAll('svg[role="img"]'))
+      .filter(svg => !this.getAccessibleName(svg));
+    if (unlabeledSvgs.length > 0) {
+      this.findings.images.push({
+        type: 'Unlabeled SVG Image',
+        severity: 'medium',
+        wcag: '1.1.1',
+        count: unlabeledSvgs.length,
+        issue: `${unlabeledSvgs.length} SVGs with role="img" have no title or aria-label`
+      });
+    }
+  }
+
+  analyzeFormLabels() {
+    const fields = document.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea');
+    const unlabeled = Array.from(fields).filter(field => !this.getAccessibleName(field));
+
+    if (unlabeled.length > 0) {
+      this.findings.forms.push({
+        type: 'Unlabeled Form Field',
+        severity: 'high',
+        wcag: '1.3.1 / 4.1.2',
+        count: unlabeled.length,
+        issue: `${unlabeled.length} form fields have no associated label`,
+        examples: unlabeled.slice(0, 3).map(field => this.describeElement(field))
+      });
+    }
+
+    const placeholderOnly = Array.from(fields).filter(field =>
+      field.placeholder && !field.labels?.length && !field.getAttribute('aria-label') && !field.getAttribute('aria-labelledby'));
+    if (placeholderOnly.length > 0) {
+      this.findings.forms.push({
+        type: 'Placeholder Used as Label',
+        severity: 'low',
+        wcag: '3.3.2',
+        count: placeholderOnly.length,
+        issue: `${placeholderOnly.length} fields rely on placeholder text, which disappears while typing`
+      });
+    }
+  }
+
+  analyzeAccessibleNames() {
+    const unnamedButtons = Array.from(document.querySelectorAll('button, [role="button"], input[type="submit"], input[type="button"]'))
+      .filter(button => !this.getAccessibleName(button));
+    if (unnamedButtons.length > 0) {
+      this.findings.names.push({
+        type: 'Button Without Name',
+        severity: 'high',
+        wcag: '4.1.2',
+        count: unnamedButtons.length,
+        issue: `${unnamedButtons.length} buttons have no text or aria-label`,
+        examples: unnamedButtons.slice(0, 3).map(button => this.describeElement(button))
+      });
+    }
+
+    const unnamedLinks = Array.from(document.querySelectorAll('a[href]'))
+      .filter(link => !this.getAccessibleName(link));
+    if (unnamedLinks.length > 0) {
+      this.findings.names.push({
+        type: 'Link Without Name',
+        severity: 'high',
+        wcag: '2.4.4',
+        count: unnamedLinks.length,
+        issue: `${unnamedLinks.length} links have no discernible text`,
+        examples: unnamedLinks.slice(0, 3).map(link => link.getAttribute('href'))
+      });
+    }
+
+    const untitledFrames = document.querySelectorAll('iframe:not([title]):not([aria-label])');
+    if (untitledFrames.length > 0) {
+      this.findings.names.push({
+        type: 'Frame Without Title',
+        severity: 'medium',
+        wcag: '4.1.2',
+        count: untitledFrames.length,
+        issue: `${untitledFrames.length} iframes have no title`
+      });
+    }
+  }
+
+  analyzeDocumentStructure() {
+    if (!document.documentElement.getAttribute('lang')) {
+      this.findings.structure.push({
+        type: 'Missing Page Language',
+        severity: 'medium',
+        wcag: '3.1.1',
+        issue: '<html> has no lang attribute - screen readers may use the wrong pronunciation'
+      });
+    }
+
+    if (!document.title.trim()) {
+      this.findings.structure.push({
+        type: 'Missing Page Title',
+        severity: 'medium',
+        wcag: '2.4.2',
+        issue: 'Page has no <title>'
+      });
+    }
+
+    const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+    if (!headings.some(heading => heading.tagName === 'H1')) {
+      this.findings.structure.push({
+        type: 'Missing H1',
+        severity: 'low',
+        wcag: '1.3.1',
+        issue: 'Page has no top-level heading'
+      });
+    }
+
+    const skippedLevels = [];
+    headings.reduce((previousLevel, heading) => {
+      const level = Number(heading.tagName[1]);
+      if (previousLevel && level > previousLevel + 1) {
+        skippedLevels.push(`h${previousLevel} → h${level}`);
+      }
+      return level;
+    }, 0);
+    if (skippedLevels.length > 0) {
+      this.findings.structure.push({
+        type: 'Skipped Heading Level',
+        severity: 'low',
+        wcag: '1.3.1',
+        count: skippedLevels.length,
+        issue: `Heading levels are skipped (${skippedLevels.slice(0, 3).join(', ')})`
+      });
+    }
+
+    if (!document.querySelector('main, [role="main"]')) {
+      this.findings.structure.push({
+        type: 'Missing Main Landmark',
+        severity: 'low',
+        wcag: '1.3.1',
+        issue: 'No <main> landmark for screen reader navigation'
+      });
+    }
+  }
+
+  analyzeKeyboardAccess() {
+    const positiveTabindex = document.querySelectorAll('[tabindex]:not([tabindex="0"]):not([tabindex^="-"])');
+    if (positiveTabindex.length > 0) {
+      this.findings.keyboard.push({
+        type: 'Positive Tabindex',
+        severity: 'medium',
+        wcag: '2.4.3',
+        count: positiveTabindex.length,
+        issue: `${positiveTabindex.length} elements override the natural tab order with tabindex > 0`
+      });
+    }
+
+    const clickOnlyElements = Array.from(document.querySelectorAll('div[onclick], span[onclick]'))
+      .filter(element => !element.hasAttribute('tabindex') || !element.getAttribute('role'));
+    if (clickOnlyElements.length > 0) {
+      this.findings.keyboard.push({
+        type: 'Non-semantic Buttons',
+        severity: 'medium',
+        wcag: '2.1.1',
+        count: clickOnlyElements.length,
+        issue: `${clickOnlyElements.length} clickable <div>/<span> elements are not reachable by keyboard`
+      });
+    }
+
+    if (document.querySelector('meta[name="viewport"][content*="user-scalable=no"], meta[name="viewport"][content*="maximum-scale=1"]')) {
+      this.findings.keyboard.push({
+        type: 'Zoom Disabled',
+        severity: 'medium',
+        wcag: '1.4.4',
+        issue: 'Viewport meta tag prevents users from zooming'
+      });
+    }
+  }
+
+  getAccessibleName(element) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/)
+        .map(id => document.getElementById(id)?.textContent || '')
+        .join(' ')
+        .trim();
+      if (text) return text;
+    }
+
+    const directName = element.getAttribute('aria-label') || element.getAttribute('title') || element.getAttribute('alt');
+    if (directName && directName.trim()) return directName.trim();
+
+    if (element.labels && element.labels.length > 0) {
+      const labelText = Array.from(element.labels).map(label => label.textContent).join(' ').trim();
+      if (labelText) return labelText;
+    }
+
+    if (element.tagName === 'INPUT' && ['submit', 'button'].includes(element.type) && element.value) {
+      return element.value;
+    }
+
+    const svgTitle = element.querySelector && element.querySelector('title');
+    if (svgTitle && svgTitle.textContent.trim()) return svgTitle.textContent.trim();
+
+    const imageAlt = element.querySelector && Array.from(element.querySelectorAll('img[alt]'))
+      .map(img => img.alt.trim())
+      .filter(Boolean)
+      .join(' ');
+    if (imageAlt) return imageAlt;
+
+    return element.textContent ? element.textContent.trim() : '';
+  }
+
+  describeElement(element) {
+    let description = element.tagName.toLowerCase();
+    if (element.id) description += `#${element.id}`;
+    if (element.name) description += `[name="${element.name}"]`;
+    if (element.type && element.tagName === 'INPUT') description += `[type="${element.type}"]`;
+    return description;
+  }
+
+  generateReport() {
+    const issues = Object.values(this.findings).flat();
+    const severityOrder = { high: 0, medium: 1, low: 2 };
+    issues.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+
+    const penalty = { high: 10, medium: 5, low: 2 };
+    const score = Math.max(0, 100 - issues.reduce((total, issue) => total + penalty[issue.severity], 0));
+
+    const groupRecommendations = this.getGroupRecommendations();
+    const recommendations = Object.keys(this.findings)
+      .filter(group => this.findings[group].length > 0)
+      .map(group => groupRecommendations[group]);
+
+    return {
+      score,
+      issues,
+      recommendations,
+      summary: issues.length === 0
+        ? 'No automated accessibility issues detected'
+        : `${issues.length} accessibility issues found (score ${score}/100)`
+    };
+  }
+
+  getGroupRecommendations() {
+    return {
+      images: 'Give every meaningful image alt text and mark decorative images with alt=""',
+      forms: 'Associate each form field with a visible <label for> element',
+      names: 'Give icon-only buttons and links an aria-label describing their action',
+      structure: 'Set the page language, a descriptive title and a logical heading outline',
+      keyboard: 'Use native buttons for clickable elements and keep the natural tab order'
+    };
+  }
+
+  // Report-model section; WCAG criteria travel as evidence so every renderer shows them
+  toReportSection(report) {
+    const groupRecommendations = this.getGroupRecommendations();
+
+    return {
+      id: 'accessibility',
+      source: 'AccessibilityAnalyzer',
+      title: '♿ Accessibility Analysis',
+      summary: report.summary,
+      facts: [{ label: 'Accessibility Score', value: `${report.score}/100` }],
+      findings: Object.entries(this.findings).flatMap(([group, issues]) => issues.map(issue => ({
+        category: group,
+        severity: issue.severity,
+        title: `${issue.type} (WCAG ${issue.wcag})`,
+        description: issue.issue,
+        evidence: issue.examples || [],
+        recommendation: groupRecommendations[group]
+      })))
+    };
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.AccessibilityAnalyzer = AccessibilityAnalyzer;
+
+  if (window.analyzerRegistry) {
+    window.analyzerRegistry.register({
+      id: 'accessibility',
+      label: 'Accessibility analyzer',
+      modes: ['accessibility'],
+      order: 10,
+      analyze(context) {
+        context.analyzer = new AccessibilityAnalyzer();
+        return context.analyzer.analyzeAccessibility();
+      },
+      toFindings: (report, context) => context.analyzer.toReportSection(report)
+    });
+  }
+}
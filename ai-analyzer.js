@@ -0,0 +1,448 @@
+// Thrown when the model answers but the JSON doesn't match the response schema; validationErrors lists each mismatch
+class AIResponseInvalidError extends Error {
+  constructor(message, validationErrors = []) {
+    super(message);
+    this.name = 'AIResponseInvalidError';
+    this.validationErrors = validationErrors;
+  }
+}
+
+// Thrown when the tester declines the request at the review step, so nothing was sent
+class AIRequestDeclinedError extends Error {
+  constructor(message = 'The AI request was not approved at review, so no page data was sent') {
+    super(message);
+    this.name = 'AIRequestDeclinedError';
+  }
+}
+
+// Builds the prompt and validates the answer; the provider (see ai-providers.js) only moves text
+class AIBugAnalyzer {
+  constructor(provider) {
+    this.provider = provider;
+    this.maxFindings = 5;
+  }
+
+  // options.signal cancels the in-flight request; options.onProgress receives {id, label, status, detail} steps
+  // and options.onModelResult receives {model, error} once per model tried (error is null on success).
+  // An invalid response also moves on to the next model; if the last one is invalid too, AIResponseInvalidError is thrown.
+  // options.onReview, when set, is awaited before anything is sent and resolves to the payload section ids to leave out,
+  // or null to send nothing (AIRequestDeclinedError).
+  async analyzeBugReport(pageData, options = {}) {
+    const { signal, onProgress = () => {}, onModelResult = () => {}, onReview = null } = options;
+    if (onReview) {
+      pageData = await this.reviewPayload(pageData, onReview, onProgress);
+    }
+
+    const prompt = this.buildAnalysisPrompt(pageData);
+    const responseSchema = this.getResponseSchema();
+    const modelsToTry = this.provider.getModels();
+
+    for (const model of modelsToTry) {
+      const modelName = model || 'default model';
+      const requestStep = { id: `ai-request-${modelName}`, label: `${this.provider.label} request (${modelName})` };
+      const parseStep = { id: `ai-parse-${modelName}`, label: `Validating ${this.provider.label} response (${modelName})` };
+      let currentStep = requestStep;
+
+      try {
+        onProgress({ ...requestStep, status: 'started' });
+        const response = await this.provider.generate({ prompt, model, responseSchema, signal, image: pageData.screenshot || null });
+
+        if (!response || !response.text) {
+          throw new Error(`Empty response from ${this.provider.label}`);
+        }
+
+        onProgress({ ...requestStep, status: 'finished' });
+        currentStep = parseStep;
+        onProgress({ ...parseStep, status: 'started' });
+        const analysis = this.parseAIResponse(response.text);
+        onProgress({ ...parseStep, status: 'finished' });
+        await onModelResult({ model, error: null });
+
+        return { ...analysis, model: model || null };
+        
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          onProgress({ ...currentStep, status: 'cancelled' });
+          throw error;
+        }
+        
+        onProgress({ ...currentStep, status: 'failed', detail: error.message });
+        await onModelResult({ model, error });
+        
+        if (model === modelsToTry[modelsToTry.length - 1]) {
+          throw error;
+        }
+        
+        continue;
+      }
+    }
+  }
+
+  async reviewPayload(pageData, onReview, onProgress) {
+    const reviewStep = { id: 'ai-review', label: `Waiting for you to review the ${this.provider.label} request` };
+    onProgress({ ...reviewStep, status: 'started' });
+
+    let excludedSections;
+    try {
+      excludedSections = await onReview();
+    } catch (error) {
+      onProgress({ ...reviewStep, status: error.name === 'AbortError' ? 'cancelled' : 'failed', detail: error.message });
+      throw error;
+    }
+
+    if (!excludedSections) {
+      const error = new AIRequestDeclinedError();
+      onProgress({ ...reviewStep, status: 'failed', detail: error.message });
+      throw error;
+    }
+
+    onProgress({ ...reviewStep, status: 'finished' });
+    return AIBugAnalyzer.withoutSections(pageData, excludedSections);
+  }
+
+  // Parts of pageData the tester can leave out at review, with the fields each one covers
+  static get payloadSections() {
+    return [
+      { id: 'content', label: 'Page text', fields: ['content'] },
+      { id: 'console', label: 'Console logs and stack traces', fields: ['consoleErrors', 'errorDetails'] },
+      { id: 'domErrors', label: 'DOM issues', fields: ['domErrors'] },
+      { id: 'reproductionSteps', label: 'Steps to reproduce', fields: ['reproductionSteps'] },
+      { id: 'performance', label: 'Performance data', fields: ['performanceData'] },
+      { id: 'analyzers', label: 'Analyzer results', fields: ['aspNetAnalysis', 'reactAnalysis', 'securityAnalysis', 'accessibilityAnalysis', 'otherAnalyzerFindings'] },
+      { id: 'screenshot', label: 'Screenshot', fields: ['screenshot'] }
+    ];
+  }
+
+  // The sections pageData actually has content for, with their size in bytes
+  static getPayloadSections(pageData) {
+    return AIBugAnalyzer.payloadSections
+      .map(section => ({
+        id: section.id,
+        label: section.label,
+        bytes: section.fields.reduce((total, field) => total + AIBugAnalyzer.measure(pageData[field]), 0)
+      }))
+      .filter(section => section.bytes > 0);
+  }
+
+  static measure(value) {
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      return 0;
+    }
+    return new TextEncoder().encode(typeof value === 'string' ? value : JSON.stringify(value)).length;
+  }
+
+  // Empties the excluded fields and lists them in withheldSections so the prompt can say they were left out
+  static withoutSections(pageData, sectionIds) {
+    const excluded = AIBugAnalyzer.payloadSections.filter(section => sectionIds.includes(section.id));
+    if (excluded.length === 0) {
+      return pageData;
+    }
+
+    const stripped = { ...pageData, withheldSections: excluded.map(section => section.label) };
+    excluded.forEach(section => section.fields.forEach(field => {
+      stripped[field] = Array.isArray(pageData[field]) ? [] : typeof pageData[field] === 'string' ? '' : null;
+    }));
+    return stripped;
+  }
+
+  buildAnalysisPrompt(pageData) {
+    const analysisType = pageData.analysisType || 'general';
+    const focus = this.getModeFocus(analysisType);
+
+    return `You are an expert web developer and QA engineer. ${focus.task}
+
+WEBPAGE DATA:
+- URL: ${pageData.url}
+- Title: ${pageData.title}
+- Content Preview: ${pageData.content.slice(0, 500)}
+- Console Errors: ${JSON.stringify(pageData.consoleErrors, null, 2)}
+- Error Stack Traces: ${pageData.errorDetails && pageData.errorDetails.length > 0 ? JSON.stringify(pageData.errorDetails.map(error => ({
+    error: `${error.name}: ${error.message}`,
+    frames: (error.frames || []).map(frame => frame.original
+      ? `${frame.original.name || frame.functionName} (${frame.original.file}:${frame.original.line}:${frame.original.column})`
+      : `${frame.functionName} (${frame.file}:${frame.line}:${frame.column})`)
+  })), null, 2) : 'None captured'}
+- DOM Issues: ${JSON.stringify(pageData.domErrors, null, 2)}
+- Steps to Reproduce: ${pageData.reproductionSteps && pageData.reproductionSteps.length > 0 ? '\n' + pageData.reproductionSteps.map((step, index) => `  ${index + 1}. ${step}`).join('\n') : 'Not recorded'}
+- Performance Data: ${pageData.performanceData ? JSON.stringify(pageData.performanceData, null, 2) : 'Not available'}
+- ASP.NET Analysis: ${pageData.aspNetAnalysis ? JSON.stringify(pageData.aspNetAnalysis, null, 2) : 'Not analyzed'}
+${pageData.reactAnalysis ? `- React Analysis: ${JSON.stringify(pageData.reactAnalysis, null, 2)}\n` : ''}${pageData.securityAnalysis ? `- Security Analysis: ${JSON.stringify(pageData.securityAnalysis, null, 2)}\n` : ''}${pageData.accessibilityAnalysis ? `- Accessibility Analysis: ${JSON.stringify(pageData.accessibilityAnalysis, null, 2)}\n` : ''}${pageData.otherAnalyzerFindings && pageData.otherAnalyzerFindings.length > 0 ? `- Other Analyzer Findings: ${JSON.stringify(pageData.otherAnalyzerFindings, null, 2)}\n` : ''}- Timestamp: ${pageData.timestamp}
+
+Respond with JSON matching the declared response schema:
+- header: "## [Headline for the most important issue] ([Confidence]% confidence)"
+- summary: 1-2 sentence overview of everything found on the page
+- findings: the issues found, each with a short title suitable as a ticket subject, severity, a 0-100 confidence for
+  the severity and for the category, a 2-3 sentence summary, the likely root cause, the user impact, a technical
+  explanation for developers, specific steps to fix it, a priority, and evidence (console messages, metrics,
+  selectors or analyzer results that show the issue)
+
+IMPORTANT: List up to ${this.maxFindings} distinct findings, ranked most important first. Report unrelated problems as separate findings instead of merging them, and do not pad the list - one finding is fine if that is all there is. ${focus.importance}
+
+${focus.instructions}
+${this.getScreenshotInstructions(pageData)}${this.getWithheldInstructions(pageData)}
+Be specific and actionable in your recommendations. If there are no obvious issues, focus on potential improvements or minor concerns.${this.getSchemaInstructions()}`;
+  }
+
+  // The viewport screenshot travels as an image part next to the prompt
+  getScreenshotInstructions(pageData) {
+    if (!pageData.screenshot) {
+      return '';
+    }
+
+    return `
+SCREENSHOT: An image of the visible viewport is attached. Inspect it for visual defects the data above can't show:
+overlapping or clipped elements, broken or misaligned layouts, missing, stretched or wrong images, unreadable text or
+poor contrast, and error messages or empty states shown to the user. Report each visual defect as a finding (use
+"visual" as the category unless another fits better), describe where on the screen it is, and start its evidence
+entries with "Screenshot:".
+`;
+  }
+
+  getWithheldInstructions(pageData) {
+    if (!pageData.withheldSections || pageData.withheldSections.length === 0) {
+      return '';
+    }
+
+    return `
+WITHHELD DATA: The tester chose not to share: ${pageData.withheldSections.join(', ')}. Treat those fields as unknown
+rather than empty, and don't report their absence as an issue.
+`;
+  }
+
+  // Providers that can't enforce a schema get it spelled out in the prompt instead
+  getSchemaInstructions() {
+    if (this.provider.enforcesSchema) {
+      return '';
+    }
+
+    const jsonSchema = window.AIProviders.toJsonSchema(this.getResponseSchema());
+    return `
+
+Respond with a single JSON object and nothing else - no markdown fences or commentary. It must match this JSON Schema:
+${JSON.stringify(jsonSchema, null, 2)}`;
+  }
+
+  // Each popup mode narrows the prompt to the data its analyzers collected
+  getModeFocus(analysisType) {
+    const modes = {
+      general: {
+        task: 'Analyze this webpage for bugs and issues.',
+        importance: 'Rank by user impact across all of the areas below.',
+        instructions: `Focus on:
+1. JavaScript errors and their implications
+2. Performance issues: Core Web Vitals (LCP, FID, CLS), long tasks, slow resources
+3. Network problems: failed requests, slow API calls, render-blocking resources
+4. Memory issues: leaks, high usage, inefficient patterns
+5. UX/UI problems visible in content  
+6. Authentication and authorization issues
+7. Form validation and user flow issues
+8. ASP.NET specific issues: ViewState problems, server errors, postback issues, session management
+
+If Steps to Reproduce are provided, relate the issue to the user actions that triggered it and reference the step numbers.
+
+Pay special attention to performance metrics if available - analyze loading times, render-blocking resources, memory usage, and Core Web Vitals scores.
+
+If ASP.NET Analysis data is provided, focus on:
+- ViewState size and optimization issues
+- Server-side error patterns in the rendered content
+- Authentication and session management problems
+- Postback and Web Forms validation issues
+- Resource optimization for ASP.NET applications`
+      },
+      performance: {
+        task: 'Run a performance audit of this webpage.',
+        importance: 'Rank performance problems by their measured user impact.',
+        instructions: `Focus on:
+1. Core Web Vitals (LCP, FID, CLS) against their "good" thresholds
+2. Long tasks blocking the main thread and slow interactions
+3. Slow, failed or render-blocking network requests and oversized resources
+4. Memory usage and signs of leaks
+
+Use the Performance Data as your primary evidence and quote the measured values. Use "performance" as the category.
+If Steps to Reproduce are provided, relate slow behaviour to the step numbers that triggered it.`
+      },
+      react: {
+        task: 'Analyze the React application on this webpage for component and hook problems.',
+        importance: 'Rank React issues by how likely they are to cause bugs or slowdowns.',
+        instructions: `Focus on:
+1. Hook dependency problems, stale closures and effects without cleanup
+2. Unnecessary re-renders and missing memoization
+3. Missing error boundaries and unhandled async errors in components
+4. State management issues (prop drilling, context overuse, Redux misuse)
+5. React warnings and errors in the console
+
+Use the React Analysis as your primary evidence. If React Analysis is missing, say that React was not detected and review the console output instead.
+If Steps to Reproduce are provided, reference the step numbers that trigger the component behaviour.`
+      },
+      security: {
+        task: 'Review this webpage for client-side security vulnerabilities.',
+        importance: 'Rank security findings by severity.',
+        instructions: `Focus on:
+1. Transport security: HTTP pages, mixed content, insecure form actions
+2. Session handling: cookies readable by JavaScript, tokens in localStorage
+3. XSS exposure: missing or weak Content Security Policy, inline handlers, third-party scripts without integrity
+4. CSRF protection on state-changing forms
+5. Sensitive data leaking into the page, URLs or console output
+
+Use the Security Analysis (and ASP.NET Analysis, if present) as your primary evidence. Rate severity by exploitability, not by count. Use "security" as the category.`
+      },
+      accessibility: {
+        task: 'Audit this webpage for accessibility barriers against WCAG 2.1 AA.',
+        importance: 'Rank barriers by how many users they block.',
+        instructions: `Focus on:
+1. Images, icons and controls without a text alternative or accessible name
+2. Form fields without labels or with placeholder-only labels
+3. Keyboard access: non-semantic clickable elements, tab order, focus traps
+4. Document structure: language, title, headings and landmarks
+5. Zoom and text resizing restrictions
+
+Use the Accessibility Analysis as your primary evidence and cite WCAG success criteria numbers. Use "accessibility" as the category.`
+      }
+    };
+
+    return modes[analysisType] || modes.general;
+  }
+
+  // Structured output: providers constrain their JSON to this schema where they can, and parseAIResponse validates against it again
+  getResponseSchema() {
+    const confidence = { type: 'INTEGER', minimum: 0, maximum: 100 };
+
+    return {
+      type: 'OBJECT',
+      properties: {
+        header: { type: 'STRING' },
+        summary: { type: 'STRING' },
+        findings: {
+          type: 'ARRAY',
+          minItems: 1,
+          maxItems: this.maxFindings,
+          items: {
+            type: 'OBJECT',
+            properties: {
+              title: { type: 'STRING' },
+              severity: { type: 'STRING', enum: ['critical', 'high', 'medium', 'low'] },
+              severityConfidence: confidence,
+              category: { type: 'STRING' },
+              categoryConfidence: confidence,
+              summary: { type: 'STRING' },
+              rootCause: { type: 'STRING' },
+              userImpact: { type: 'STRING' },
+              technicalDetails: { type: 'STRING' },
+              suggestedFix: { type: 'STRING' },
+              priority: { type: 'STRING', enum: ['immediate', 'high', 'medium', 'low'] },
+              evidence: { type: 'ARRAY', items: { type: 'STRING' } }
+            },
+            required: ['title', 'severity', 'severityConfidence', 'category', 'categoryConfidence', 'summary',
+              'rootCause', 'userImpact', 'technicalDetails', 'suggestedFix', 'priority'],
+            propertyOrdering: ['title', 'severity', 'severityConfidence', 'category', 'categoryConfidence', 'summary',
+              'rootCause', 'userImpact', 'technicalDetails', 'suggestedFix', 'priority', 'evidence']
+          }
+        }
+      },
+      required: ['header', 'summary', 'findings'],
+      propertyOrdering: ['header', 'summary', 'findings']
+    };
+  }
+
+  // The top-level severity, category, root cause etc. mirror the highest-ranked finding,
+  // so consumers that only know about a single issue keep working
+  parseAIResponse(responseText) {
+    let parsed;
+    try {
+      // Local models sometimes wrap the object in a markdown fence despite being told not to
+      parsed = JSON.parse(responseText.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (error) {
+      throw new AIResponseInvalidError(`AI response is not valid JSON: ${error.message}`, [error.message]);
+    }
+
+    const validationErrors = this.validateAgainstSchema(parsed, this.getResponseSchema());
+    if (validationErrors.length > 0) {
+      throw new AIResponseInvalidError(`AI response does not match the schema: ${validationErrors.slice(0, 3).join('; ')}`, validationErrors);
+    }
+
+    const findings = parsed.findings.map((finding, index) => ({
+      rank: index + 1,
+      ...finding,
+      evidence: finding.evidence || []
+    }));
+    const top = findings[0];
+
+    return {
+      header: parsed.header,
+      severity: top.severity,
+      severityConfidence: top.severityConfidence,
+      category: top.category,
+      categoryConfidence: top.categoryConfidence,
+      summary: parsed.summary,
+      rootCause: top.rootCause,
+      userImpact: top.userImpact,
+      technicalDetails: top.technicalDetails,
+      suggestedFix: top.suggestedFix,
+      priority: top.priority,
+      findings,
+      analysisType: this.provider.label
+    };
+  }
+
+  // Covers the subset of the OpenAPI schema that getResponseSchema uses; returns one message per mismatch
+  validateAgainstSchema(value, schema, path = 'response') {
+    const typeChecks = {
+      OBJECT: item => item !== null && typeof item === 'object' && !Array.isArray(item),
+      ARRAY: item => Array.isArray(item),
+      STRING: item => typeof item === 'string',
+      INTEGER: item => Number.isInteger(item),
+      NUMBER: item => typeof item === 'number' && Number.isFinite(item),
+      BOOLEAN: item => typeof item === 'boolean'
+    };
+
+    if (!typeChecks[schema.type](value)) {
+      return [`${path} should be ${schema.type.toLowerCase()}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be at most ${schema.maximum}`);
+    }
+
+    if (schema.type === 'OBJECT') {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined || value[key] === null || value[key] === '') {
+          errors.push(`${path}.${key} is missing`);
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined && value[key] !== null && value[key] !== '') {
+          errors.push(...this.validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+        }
+      });
+    }
+
+    if (schema.type === 'ARRAY') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path} should have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} should have at most ${schema.maxItems} items`);
+      }
+      value.forEach((item, index) => {
+        errors.push(...this.validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+
+    return errors;
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.AIBugAnalyzer = AIBugAnalyzer;
+  window.AIResponseInvalidError = AIResponseInvalidError;
+  window.AIRequestDeclinedError = AIRequestDeclinedError;
+}
\ No newline at end of file
@@ -0,0 +1,498 @@
+// AI backends behind one interface, so the analyzer never needs to know where page data is sent.
+//
+// Provider: {
+//   id, label, enforcesSchema,
+//   getModels() -> [model, ...fallbackModels],
+//   generate({ prompt, model, responseSchema, signal, image }) -> { text, finishReason },   image is a data: URL or null
+//   chat({ messages: [{ role: 'user' | 'assistant', content }], model, signal }) -> { text, finishReason },
+//   getEndpoint(model) -> URL page data is posted to (without credentials),
+//   listModels() -> [string],
+//   testConnection() -> true (throws on failure)
+// }
+// responseSchema uses Gemini's OpenAPI subset (uppercase types); providers convert it as needed.
+class AIProvider {
+  constructor(settings) {
+    this.model = (settings.model || '').trim();
+    this.fallbackModels = settings.fallbackModels || [];
+    this.temperature = AIProvider.toNumber(settings.temperature, 0.1);
+    this.maxTokens = Math.round(AIProvider.toNumber(settings.maxTokens, 4000));
+  }
+
+  getModels() {
+    return [this.model, ...this.fallbackModels.filter(model => model && model !== this.model)];
+  }
+
+  async listModels() {
+    return [];
+  }
+
+  // Every request that carries page data goes through here, so the audit log also lists the ones that fail
+  async send(url, model, init) {
+    await AIProviders.recordAuditEntry({
+      timestamp: new Date().toISOString(),
+      provider: this.id,
+      destination: url.split('?')[0],
+      model: model || null,
+      payloadBytes: new TextEncoder().encode(init.body).length
+    });
+    return AIProvider.fetch(url, init);
+  }
+
+  // A content script's requests get the page's CORS and Private Network Access checks, which stop an https page
+  // from reaching a local server, so from a page the request is made by background.js. The signal can't be sent
+  // along; aborting sends a second message instead.
+  static async fetch(url, { signal, ...init }) {
+    if (typeof location === 'undefined' || location.protocol === 'chrome-extension:') {
+      return fetch(url, { ...init, signal });
+    }
+    if (signal && signal.aborted) {
+      throw new DOMException('The request was aborted', 'AbortError');
+    }
+
+    // crypto.randomUUID is missing on http pages, which aren't secure contexts
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const abort = () => chrome.runtime.sendMessage({ type: 'aiProviderAbort', requestId }).catch(() => {});
+    if (signal) signal.addEventListener('abort', abort, { once: true });
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'aiProviderFetch', requestId, url, init });
+      if (!result || result.error) {
+        const error = new Error(result ? result.error : 'The extension did not answer the request');
+        error.name = result && result.name ? result.name : 'TypeError';
+        throw error;
+      }
+      return new Response(result.body || null, { status: result.status, statusText: result.statusText });
+    } finally {
+      if (signal) signal.removeEventListener('abort', abort);
+    }
+  }
+
+  async testConnection() {
+    const response = await this.generate({ prompt: "Reply with the words 'connection ok'.", model: this.model });
+    if (!response.text) {
+      throw new Error('The provider returned an empty response');
+    }
+    return true;
+  }
+
+  static parseDataUrl(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const mimeType = (header.match(/^data:([^;]+)/) || [])[1] || 'image/png';
+    return { mimeType, data };
+  }
+
+  static toNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+  }
+
+  // status lets callers tell a rejected key (401/403) from other failures
+  static async readError(response, label) {
+    const errorText = await response.text();
+    const error = new Error(`${label} error: ${response.status} ${response.statusText} - ${errorText.slice(0, 300)}`);
+    error.status = response.status;
+    return error;
+  }
+}
+
+class GeminiProvider extends AIProvider {
+  constructor(settings) {
+    super(settings);
+    this.id = 'gemini';
+    this.label = 'Google Gemini';
+    this.enforcesSchema = true;
+    this.apiKey = (settings.apiKey || '').trim();
+    this.model = (this.model || 'gemini-2.5-flash-lite').replace(/^models\//, '');
+    this.baseUrlTemplate = 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent';
+  }
+
+  async generate({ prompt, model = this.model, responseSchema, signal, image = null }) {
+    const parts = [{ text: prompt }];
+    if (image) {
+      const { mimeType, data } = AIProvider.parseDataUrl(image);
+      parts.push({ inline_data: { mime_type: mimeType, data } });
+    }
+
+    const generationConfig = responseSchema
+      ? { responseMimeType: 'application/json', responseSchema }
+      : {};
+
+    return this.request(model, [{ role: 'user', parts }], generationConfig, signal);
+  }
+
+  // Gemini calls the assistant role "model"
+  async chat({ messages, model = this.model, signal }) {
+    const contents = messages.map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }]
+    }));
+
+    return this.request(model, contents, {}, signal);
+  }
+
+  async request(model, contents, generationConfig, signal) {
+    const requestBody = {
+      contents,
+      generationConfig: {
+        temperature: this.temperature,
+        maxOutputTokens: this.maxTokens,
+        topP: 0.8,
+        topK: 10,
+        ...generationConfig
+      }
+    };
+
+    const response = await this.send(`${this.getEndpoint(model)}?key=${this.apiKey}`, model, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await AIProvider.readError(response, 'Gemini API');
+    }
+
+    const data = await response.json();
+
+    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+      throw new Error('Invalid response structure from Gemini API');
+    }
+
+    return {
+      text: data.candidates[0].content.parts[0].text,
+      finishReason: data.candidates[0].finishReason
+    };
+  }
+
+  getEndpoint(model = this.model) {
+    return this.baseUrlTemplate.replace('{model}', model);
+  }
+
+  async listModels() {
+    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000&key=${this.apiKey}`);
+
+    if (!response.ok) {
+      throw await AIProvider.readError(response, 'Gemini API');
+    }
+
+    // Embedding and other non-chat models can't analyze reports
+    const data = await response.json();
+    return (data.models || [])
+      .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+      .map(model => model.name.replace('models/', ''));
+  }
+}
+
+// Any /v1/chat/completions server: OpenAI, Azure-style proxies, Ollama, llama.cpp, LM Studio, vLLM
+class OpenAICompatibleProvider extends AIProvider {
+  constructor(settings) {
+    super(settings);
+    this.id = 'openai';
+    this.label = 'OpenAI-compatible';
+    // Self-hosted servers differ in how strictly they honour json_schema, so the schema also goes in the prompt
+    this.enforcesSchema = false;
+    this.baseUrl = (settings.baseUrl || '').trim().replace(/\/+$/, '');
+    this.apiKey = (settings.apiKey || '').trim();
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async generate({ prompt, model = this.model, responseSchema, signal, image = null }) {
+    const content = image
+      ? [{ type: 'text', text: prompt }, { type: 'image_url', image_url: { url: image } }]
+      : prompt;
+
+    const responseFormat = responseSchema
+      ? { type: 'json_schema', json_schema: { name: 'bug_analysis', schema: AIProviders.toJsonSchema(responseSchema) } }
+      : null;
+
+    return this.request(model, [{ role: 'user', content }], responseFormat, signal);
+  }
+
+  async chat({ messages, model = this.model, signal }) {
+    return this.request(model, messages.map(({ role, content }) => ({ role, content })), null, signal);
+  }
+
+  async request(model, messages, responseFormat, signal) {
+    const requestBody = {
+      model,
+      messages,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens
+    };
+
+    if (responseFormat) {
+      requestBody.response_format = responseFormat;
+    }
+
+    const response = await this.send(this.getEndpoint(model), model, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await AIProvider.readError(response, 'Chat completions API');
+    }
+
+    const data = await response.json();
+    const choice = data.choices && data.choices[0];
+
+    if (!choice || !choice.message) {
+      throw new Error('Invalid response structure from chat completions API');
+    }
+
+    return {
+      text: choice.message.content,
+      finishReason: choice.finish_reason
+    };
+  }
+
+  getEndpoint() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  async listModels() {
+    const response = await fetch(`${this.baseUrl}/models`, { headers: this.getHeaders() });
+
+    if (!response.ok) {
+      throw await AIProvider.readError(response, 'Chat completions API');
+    }
+
+    const data = await response.json();
+    return (data.data || []).map(model => model.id);
+  }
+}
+
+// In-house gateways: receives { prompt, model, temperature, maxTokens, responseSchema, image, messages } and
+// answers with { text } JSON or a plain-text body. For follow-up chats, prompt holds the whole conversation
+// as text so single-turn gateways still see the context.
+class CustomHttpProvider extends AIProvider {
+  constructor(settings) {
+    super(settings);
+    this.id = 'custom';
+    this.label = 'Custom endpoint';
+    this.enforcesSchema = false;
+    this.endpointUrl = (settings.endpointUrl || '').trim();
+    this.apiKey = (settings.apiKey || '').trim();
+  }
+
+  async generate({ prompt, model = this.model, responseSchema, signal, image = null }) {
+    return this.request({
+      prompt,
+      model: model || null,
+      responseSchema: responseSchema ? AIProviders.toJsonSchema(responseSchema) : null,
+      image: image ? AIProvider.parseDataUrl(image) : null,
+      messages: null
+    }, signal);
+  }
+
+  async chat({ messages, model = this.model, signal }) {
+    return this.request({
+      prompt: messages.map(message => `${message.role.toUpperCase()}:\n${message.content}`).join('\n\n'),
+      model: model || null,
+      responseSchema: null,
+      image: null,
+      messages
+    }, signal);
+  }
+
+  getEndpoint() {
+    return this.endpointUrl;
+  }
+
+  async request(fields, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await this.send(this.getEndpoint(), fields.model, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        ...fields,
+        temperature: this.temperature,
+        maxTokens: this.maxTokens
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await AIProvider.readError(response, 'Custom endpoint');
+    }
+
+    const responseText = await response.text();
+    let data;
+    try {
+      data = JSON.parse(responseText);
+    } catch {
+      return { text: responseText, finishReason: null };
+    }
+
+    if (!data || typeof data.text !== 'string') {
+      throw new Error('Custom endpoint response must be plain text or JSON with a "text" field');
+    }
+
+    return { text: data.text, finishReason: data.finishReason || null };
+  }
+}
+
+class AIProviders {
+  static get labels() {
+    return {
+      gemini: 'Google Gemini',
+      openai: 'OpenAI-compatible',
+      custom: 'Custom endpoint'
+    };
+  }
+
+  // chrome.storage.sync keys for every provider; aiMode picks the active one ('pattern' means no AI)
+  static get settingsDefaults() {
+    return {
+      aiMode: 'gemini',
+      geminiApiKey: '',
+      geminiModel: 'gemini-2.5-flash-lite',
+      geminiFallbackModels: ['gemini-1.5-flash-latest', 'gemini-1.5-flash', 'gemini-1.5-pro'],
+      geminiTemperature: 0.1,
+      geminiMaxTokens: 4000,
+      openaiBaseUrl: 'http://localhost:11434/v1',
+      openaiApiKey: '',
+      openaiModel: '',
+      openaiFallbackModels: [],
+      openaiTemperature: 0.1,
+      openaiMaxTokens: 4000,
+      customEndpointUrl: '',
+      customApiKey: '',
+      customModel: '',
+      customFallbackModels: [],
+      customTemperature: 0.1,
+      customMaxTokens: 4000
+    };
+  }
+
+  // Returns null when the chosen provider is missing required settings, which means pattern analysis
+  static create(settings) {
+    switch (settings.aiMode) {
+      case 'gemini':
+        return settings.geminiApiKey && settings.geminiApiKey.trim()
+          ? new GeminiProvider({
+              apiKey: settings.geminiApiKey,
+              model: settings.geminiModel,
+              fallbackModels: settings.geminiFallbackModels,
+              temperature: settings.geminiTemperature,
+              maxTokens: settings.geminiMaxTokens
+            })
+          : null;
+      case 'openai':
+        return settings.openaiBaseUrl && settings.openaiModel
+          ? new OpenAICompatibleProvider({
+              baseUrl: settings.openaiBaseUrl,
+              apiKey: settings.openaiApiKey,
+              model: settings.openaiModel,
+              fallbackModels: settings.openaiFallbackModels,
+              temperature: settings.openaiTemperature,
+              maxTokens: settings.openaiMaxTokens
+            })
+          : null;
+      case 'custom':
+        return settings.customEndpointUrl
+          ? new CustomHttpProvider({
+              endpointUrl: settings.customEndpointUrl,
+              apiKey: settings.customApiKey,
+              model: settings.customModel,
+              fallbackModels: settings.customFallbackModels,
+              temperature: settings.customTemperature,
+              maxTokens: settings.customMaxTokens
+            })
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  // Last success and last error per model, kept in chrome.storage.local as { 'providerId:model': status }
+  static async getModelStatus() {
+    const { aiModelStatus } = await chrome.storage.local.get({ aiModelStatus: {} });
+    return aiModelStatus;
+  }
+
+  static async recordModelStatus(providerId, model, error = null) {
+    try {
+      const statuses = await AIProviders.getModelStatus();
+      const key = `${providerId}:${model || ''}`;
+      const status = { ...statuses[key] };
+
+      if (error) {
+        status.lastErrorAt = new Date().toISOString();
+        status.lastError = error.message;
+      } else {
+        status.lastSuccessAt = new Date().toISOString();
+      }
+
+      await chrome.storage.local.set({ aiModelStatus: { ...statuses, [key]: status } });
+    } catch (storageError) {
+      console.warn('Could not record model status:', storageError);
+    }
+  }
+
+  // One entry per AI request - when, where, which model and how much data - kept in chrome.storage.local for compliance
+  // reviews. Entries are { timestamp, provider, destination, model, payloadBytes }, newest last.
+  static get auditLogLimit() {
+    return 1000;
+  }
+
+  static async getAuditLog() {
+    const { aiAuditLog } = await chrome.storage.local.get({ aiAuditLog: [] });
+    return aiAuditLog;
+  }
+
+  static async recordAuditEntry(entry) {
+    try {
+      const entries = await AIProviders.getAuditLog();
+      await chrome.storage.local.set({ aiAuditLog: [...entries, entry].slice(-AIProviders.auditLogLimit) });
+    } catch (storageError) {
+      console.warn('Could not record AI audit entry:', storageError);
+    }
+  }
+
+  static async clearAuditLog() {
+    await chrome.storage.local.remove('aiAuditLog');
+  }
+
+  // Gemini's schema dialect to standard JSON Schema for the other providers
+  static toJsonSchema(schema) {
+    const converted = { type: schema.type.toLowerCase() };
+
+    ['enum', 'minimum', 'maximum', 'minItems', 'maxItems', 'required'].forEach(key => {
+      if (schema[key] !== undefined) converted[key] = schema[key];
+    });
+
+    if (schema.properties) {
+      converted.properties = Object.fromEntries(Object.entries(schema.properties)
+        .map(([key, propertySchema]) => [key, AIProviders.toJsonSchema(propertySchema)]));
+    }
+
+    if (schema.items) {
+      converted.items = AIProviders.toJsonSchema(schema.items);
+    }
+
+    return converted;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.AIProviders = AIProviders;
+  window.GeminiProvider = GeminiProvider;
+  window.OpenAICompatibleProvider = OpenAICompatibleProvider;
+  window.CustomHttpProvider = CustomHttpProvider;
+}
@@ -0,0 +1,144 @@
+// Analyzers register themselves here when their script is injected, so content-simple.js can run
+// whatever is registered for a mode without knowing any analyzer by name.
+//
+// Definition:
+// {
+//   id, label,
+//   modes: ['general', ...],           analysis modes that run it (default: general)
+//   order: 10,                         position of its report section, lowest first (default: 100)
+//   dependencies: ['react', ...],      analyzers whose results it needs; skipped if any of them produced nothing
+//   timeout: 10000,                    ms before the analyzer is abandoned
+//   detect(context) -> boolean,        optional; false skips the analyzer for this page
+//   analyze(context) -> result,
+//   toFindings(result, context) -> report-model section (see report-model.js) or null
+// }
+//
+// Each analyzer gets its own context per run: { options, signal, dependencies: { id: result }, wait(ms) }.
+// analyze() may keep state on it (e.g. the analyzer instance) for toFindings() to use.
+class AnalyzerRegistry {
+  constructor() {
+    this.analyzers = new Map();
+  }
+
+  register(definition) {
+    if (!definition.id || typeof definition.analyze !== 'function') {
+      throw new Error('Analyzer definitions need an id and an analyze() method');
+    }
+
+    this.analyzers.set(definition.id, {
+      label: definition.id,
+      modes: ['general'],
+      order: 100,
+      dependencies: [],
+      timeout: 10000,
+      ...definition
+    });
+  }
+
+  get(id) {
+    return this.analyzers.get(id) || null;
+  }
+
+  // Sorted by order so report sections don't depend on which scripts an earlier run already injected
+  getForMode(mode) {
+    return [...this.analyzers.values()]
+      .filter(definition => definition.modes.includes(mode))
+      .sort((a, b) => a.order - b.order);
+  }
+
+  // Runs the mode's analyzers in parallel, each waiting only on its own dependencies.
+  // Failures and timeouts are isolated to the analyzer; aborting the signal rejects the whole run.
+  async run(mode, { options = {}, signal = null, onProgress = () => {} } = {}) {
+    const selected = this.getForMode(mode);
+    const selectedIds = new Set(selected.map(definition => definition.id));
+    const pending = new Map();
+
+    const start = (definition, path) => {
+      if (!pending.has(definition.id)) {
+        pending.set(definition.id, this.execute(definition, path, { selectedIds, start, options, signal, onProgress }));
+      }
+      return pending.get(definition.id);
+    };
+
+    const outcomes = await Promise.all(selected.map(definition => start(definition, [])));
+    return Object.fromEntries(outcomes.map(outcome => [outcome.id, outcome]));
+  }
+
+  async execute(definition, path, { selectedIds, start, options, signal, onProgress }) {
+    const { id, label } = definition;
+    const skip = (reason) => {
+      onProgress({ id, label, status: 'skipped', detail: reason });
+      return { id, status: 'skipped', result: null, section: null, error: reason, duration: 0 };
+    };
+
+    const unavailable = definition.dependencies.find(dependency => !selectedIds.has(dependency) || path.includes(dependency));
+    if (unavailable) {
+      return skip(path.includes(unavailable) ? `Circular dependency on ${unavailable}` : `Requires ${unavailable}, which is not part of this mode`);
+    }
+
+    const dependencyOutcomes = await Promise.all(definition.dependencies.map(dependency =>
+      start(this.get(dependency), [...path, id])));
+    const failedDependency = dependencyOutcomes.find(outcome => outcome.status !== 'finished' || !outcome.result);
+    if (failedDependency) {
+      return skip(`Requires ${failedDependency.id}, which produced no result`);
+    }
+
+    const context = {
+      options,
+      signal,
+      dependencies: Object.fromEntries(dependencyOutcomes.map(outcome => [outcome.id, outcome.result])),
+      wait: (ms) => AnalyzerRegistry.wait(ms, signal)
+    };
+    const startedAt = Date.now();
+
+    try {
+      signal?.throwIfAborted();
+
+      if (definition.detect && !(await definition.detect(context))) {
+        return skip('Not detected on this page');
+      }
+
+      onProgress({ id, label, status: 'started' });
+      const result = await AnalyzerRegistry.withTimeout(
+        Promise.resolve().then(() => definition.analyze(context)),
+        definition.timeout,
+        signal
+      );
+      const section = definition.toFindings ? definition.toFindings(result, context) : null;
+      onProgress({ id, label, status: 'finished' });
+
+      return { id, status: 'finished', result, section, error: null, duration: Date.now() - startedAt };
+    } catch (error) {
+      if (signal?.aborted) {
+        onProgress({ id, label, status: 'cancelled' });
+        throw error;
+      }
+
+      console.warn(`${label} failed:`, error);
+      onProgress({ id, label, status: 'failed', detail: error.message });
+      return { id, status: 'failed', result: null, section: null, error: error.message, duration: Date.now() - startedAt };
+    }
+  }
+
+  static withTimeout(promise, ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out after ${ms / 1000}s`)), ms);
+      const onAbort = () => reject(signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      promise.then(resolve, reject).finally(() => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      });
+    });
+  }
+
+  static wait(ms, signal) {
+    return AnalyzerRegistry.withTimeout(new Promise(resolve => setTimeout(resolve, ms)), ms + 1000, signal);
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.AnalyzerRegistry = AnalyzerRegistry;
+  window.analyzerRegistry = new AnalyzerRegistry();
+}
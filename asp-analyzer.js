@@ -322,8 +322,73 @@ class ASPNETAnalyzer {
 
     return report;
   }
+
+  // Report-model section; recommendations follow the issue group each finding came from
+  toReportSection(report) {
+    if (!report.detected) return null;
+
+    const groups = [
+      { issues: this.aspIndicators.viewStateIssues, category: 'viewstate', recommendation: 'Optimize ViewState usage - consider disabling for read-only pages' },
+      { issues: this.aspIndicators.serverErrors, category: 'server-error', recommendation: 'Address server-side errors visible in browser' },
+      { issues: this.aspIndicators.postbackIssues, category: 'postback', recommendation: 'Review postback patterns - consider AJAX or client-side alternatives' },
+      { issues: this.aspIndicators.sessionIssues, category: 'session', recommendation: 'Review session management and timeout settings' }
+    ];
+
+    const findings = groups.flatMap(group => group.issues.map(issue => ({
+      category: group.category,
+      severity: this.getIssueSeverity(issue, group.category),
+      // Web Forms checks collect several messages per form instead of a single type/issue pair
+      title: issue.type || `Web Forms form #${issue.formIndex + 1}`,
+      description: issue.issue || (issue.issues || []).join('; ') || issue.text || 'Detected in page content',
+      evidence: [issue.size, issue.context, issue.errors, issue.action].filter(Boolean),
+      recommendation: group.recommendation
+    })));
+
+    if (this.aspIndicators.resources.length > 5) {
+      findings.push({
+        category: 'resources',
+        severity: 'low',
+        title: 'Resource Count',
+        description: `${this.aspIndicators.resources.length} ASP.NET resources - consider bundling`,
+        evidence: this.aspIndicators.resources.slice(0, 3).map(resource => resource.url),
+        recommendation: 'Implement resource bundling and minification'
+      });
+    }
+
+    return {
+      id: 'aspnet',
+      source: 'ASPNETAnalyzer',
+      title: '🖥️ ASP.NET Analysis',
+      summary: report.summary,
+      facts: [
+        { label: 'Platform', value: report.version },
+        { label: 'Forms Authentication', value: this.aspIndicators.formAuthentication ? 'Detected' : null }
+      ],
+      findings
+    };
+  }
+
+  getIssueSeverity(issue, category) {
+    if (category === 'server-error' || (issue.type || '').includes('Critical')) return 'high';
+    if (category === 'session' || (issue.type || '').includes('Large')) return 'medium';
+    return 'low';
+  }
 }
 
 if (typeof window !== 'undefined') {
   window.ASPNETAnalyzer = ASPNETAnalyzer;
+
+  if (window.analyzerRegistry) {
+    window.analyzerRegistry.register({
+      id: 'aspnet',
+      label: 'ASP.NET analyzer',
+      modes: ['general', 'security'],
+      order: 40,
+      analyze(context) {
+        context.analyzer = new ASPNETAnalyzer();
+        return context.analyzer.analyzeASPNET();
+      },
+      toFindings: (report, context) => context.analyzer.toReportSection(report)
+    });
+  }
 }
\ No newline at end of file
@@ -1,3 +1,21 @@
+const MAX_RECORDED_STEPS = 200;
+const EARLY_CAPTURE_SCRIPT_ID = 'early-capture';
+const EARLY_CAPTURE_SCRIPTS = ['early-capture.js', 'network-capture.js'];
+let recordingQueue = Promise.resolve();
+const providerRequests = new Map();
+
+chrome.runtime.onInstalled.addListener(syncEarlyCaptureRegistration);
+chrome.runtime.onStartup.addListener(syncEarlyCaptureRegistration);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.earlyConsoleCapture) {
+    syncEarlyCaptureRegistration();
+  }
+});
+
+chrome.permissions.onAdded.addListener(syncEarlyCaptureRegistration);
+chrome.permissions.onRemoved.addListener(syncEarlyCaptureRegistration);
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'bugReportData') {
     chrome.runtime.sendMessage(request, (response) => {
@@ -5,4 +23,202 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     });
     return true;
   }
-});
\ No newline at end of file
+
+  // The popup may already be closed, so progress relays are fire-and-forget
+  if (request.type === 'analysisProgress') {
+    chrome.runtime.sendMessage(request).catch(() => {});
+    return false;
+  }
+
+  if (request.type === 'recordedStep' && sender.tab) {
+    appendRecordedStep(sender.tab.id, request.step);
+    return false;
+  }
+
+  if (request.type === 'startRecording') {
+    startRecording(request.tabId).then(sendResponse, error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'stopRecording') {
+    stopRecording(request.tabId).then(sendResponse, error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'getRecording') {
+    getRecording(request.tabId).then(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'aiProviderFetch') {
+    fetchForProvider(request).then(sendResponse, error => sendResponse({ error: error.message, name: error.name }));
+    return true;
+  }
+
+  if (request.type === 'aiProviderAbort') {
+    const controller = providerRequests.get(request.requestId);
+    if (controller) controller.abort();
+    return false;
+  }
+});
+
+// AI provider requests from content scripts run here, outside the page's CORS and Private Network Access rules.
+// Bodies come back as text, which is all the providers read.
+async function fetchForProvider({ requestId, url, init }) {
+  const controller = new AbortController();
+  providerRequests.set(requestId, controller);
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    return { status: response.status, statusText: response.statusText, body: await response.text() };
+  } finally {
+    providerRequests.delete(requestId);
+  }
+}
+
+// Full page loads wipe the injected recorder, so put it back while a recording is active
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete') return;
+
+  const recording = await getRecording(tabId);
+  if (!recording || !recording.active) return;
+
+  try {
+    await injectRecorder(tabId, true);
+  } catch (error) {
+    appendRecordedStep(tabId, {
+      type: 'navigate',
+      url: tab.url || 'unknown page',
+      reason: 'page-load',
+      note: 'Recording paused - extension has no access to this page',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove(getRecordingKey(tabId));
+});
+
+// Keeps the document_start console and network capture scripts registered only while the option is on
+async function syncEarlyCaptureRegistration() {
+  try {
+    const { earlyConsoleCapture } = await chrome.storage.sync.get({ earlyConsoleCapture: false });
+    const hasAccess = await chrome.permissions.contains({ origins: ['http://*/*', 'https://*/*'] });
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [EARLY_CAPTURE_SCRIPT_ID] });
+    const shouldRegister = earlyConsoleCapture && hasAccess;
+    
+    if (shouldRegister && registered.length === 0) {
+      await chrome.scripting.registerContentScripts([{
+        id: EARLY_CAPTURE_SCRIPT_ID,
+        js: EARLY_CAPTURE_SCRIPTS,
+        matches: ['http://*/*', 'https://*/*'],
+        runAt: 'document_start',
+        world: 'MAIN',
+        allFrames: false,
+        persistAcrossSessions: true
+      }]);
+    } else if (shouldRegister && registered[0].js.join() !== EARLY_CAPTURE_SCRIPTS.join()) {
+      // Registrations persist across updates, so older installs still list only early-capture.js
+      await chrome.scripting.updateContentScripts([{ id: EARLY_CAPTURE_SCRIPT_ID, js: EARLY_CAPTURE_SCRIPTS }]);
+    } else if (!shouldRegister && registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [EARLY_CAPTURE_SCRIPT_ID] });
+    }
+  } catch (error) {
+    console.error('Failed to update early console capture:', error);
+  }
+}
+
+function getRecordingKey(tabId) {
+  return `recording_${tabId}`;
+}
+
+async function getRecording(tabId) {
+  const key = getRecordingKey(tabId);
+  const data = await chrome.storage.session.get(key);
+  return data[key] || null;
+}
+
+// Steps arrive faster than storage round-trips, so serialize the read-modify-write cycles
+function updateRecording(tabId, updater) {
+  recordingQueue = recordingQueue.then(async () => {
+    const recording = await getRecording(tabId);
+    const updated = updater(recording);
+    if (updated) {
+      await chrome.storage.session.set({ [getRecordingKey(tabId)]: updated });
+    }
+    return updated;
+  }).catch(error => {
+    console.error('Failed to update recording:', error);
+    return null;
+  });
+
+  return recordingQueue;
+}
+
+function appendRecordedStep(tabId, step) {
+  return updateRecording(tabId, (recording) => {
+    if (!recording || !recording.active || recording.steps.length >= MAX_RECORDED_STEPS) {
+      return null;
+    }
+    return { ...recording, steps: [...recording.steps, step] };
+  });
+}
+
+async function startRecording(tabId) {
+  await updateRecording(tabId, () => ({
+    active: true,
+    startedAt: new Date().toISOString(),
+    steps: []
+  }));
+
+  await injectRecorder(tabId, false);
+  return getRecording(tabId);
+}
+
+async function stopRecording(tabId) {
+  const recording = await updateRecording(tabId, (current) => {
+    if (!current) return null;
+    return { ...current, active: false, stoppedAt: new Date().toISOString() };
+  });
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        if (window.bugReporterRecorder) {
+          window.bugReporterRecorder.stop();
+        }
+      }
+    });
+  } catch (error) {
+    // Page navigated somewhere the recorder can't reach - state above is already stopped
+  }
+
+  return recording;
+}
+
+async function injectRecorder(tabId, resumed) {
+  // Re-evaluating the file would redeclare the class, so only inject it once per document
+  const [{ result: alreadyLoaded }] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => Boolean(window.InteractionRecorder)
+  });
+
+  if (!alreadyLoaded) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['interaction-recorder.js']
+    });
+  }
+
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (isResumed) => {
+      if (!window.bugReporterRecorder) {
+        window.bugReporterRecorder = new window.InteractionRecorder();
+      }
+      window.bugReporterRecorder.start(isResumed);
+    },
+    args: [resumed]
+  });
+}
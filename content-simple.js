@@ -13,6 +13,9 @@ function setupConsoleCapture() {
   const originalConsole = {};
   const methods = ['log', 'warn', 'error', 'info', 'debug'];
   let captureActive = true;
+  // Page errors are kept for as long as the page lives, so a page stuck in an error loop is cut off by count
+  const MAX_PAGE_ERRORS = 100;
+  let pageErrorCount = 0;
 
   methods.forEach(method => {
     originalConsole[method] = console[method];
@@ -36,11 +39,13 @@ function setupConsoleCapture() {
             method, 
             args: args.map(arg => {
               try {
+                if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
                 return typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg);
               } catch {
                 return '[Circular Object]';
               }
             }),
+            errors: args.filter(arg => arg instanceof Error).map(arg => describeError(arg)),
             timestamp: new Date().toISOString()
           };
           logs.push(logEntry);
@@ -50,228 +55,415 @@ function setupConsoleCapture() {
     };
   });
   
+  // Register error listeners up front so errors thrown while the report is built, and any time after, are kept
+  window.addEventListener('error', (event) => {
+    if (pageErrorCount >= MAX_PAGE_ERRORS || !(event instanceof ErrorEvent)) return;
+    pageErrorCount++;
+    const logEntry = {
+      method: 'error',
+      source: 'window.onerror',
+      args: [`Uncaught ${event.message}`],
+      errors: [describeError(event.error || { name: 'Error', message: event.message }, {
+        file: event.filename,
+        line: event.lineno,
+        column: event.colno
+      })],
+      timestamp: new Date().toISOString()
+    };
+    logs.push(logEntry);
+    window.capturedLogs.push(logEntry);
+  });
+  
+  window.addEventListener('unhandledrejection', (event) => {
+    if (pageErrorCount >= MAX_PAGE_ERRORS) return;
+    pageErrorCount++;
+    const reason = event.reason;
+    const logEntry = {
+      method: 'error',
+      source: 'unhandledrejection',
+      args: ['Unhandled promise rejection:', reason instanceof Error ? `${reason.name}: ${reason.message}` : String(reason)],
+      errors: reason instanceof Error ? [describeError(reason)] : [],
+      timestamp: new Date().toISOString()
+    };
+    logs.push(logEntry);
+    window.capturedLogs.push(logEntry);
+  });
+  
   window.consoleHooked = true;
   setTimeout(() => { captureActive = false; }, 2000);
   return logs;
 }
 
+// Error objects lose their stack through JSON.stringify, so keep the fields explicitly
+function describeError(error, location) {
+  return {
+    name: error && error.name ? String(error.name) : 'Error',
+    message: error && error.message !== undefined ? String(error.message) : String(error),
+    stack: error && error.stack ? String(error.stack) : null,
+    file: location ? location.file || null : null,
+    line: location ? location.line || null : null,
+    column: location ? location.column || null : null
+  };
+}
+
 setupConsoleCapture();
+
+// The popup aborts this controller to cancel the run, including an in-flight AI request
+window.bugReporterAbortController = new AbortController();
+const cancelSignal = window.bugReporterAbortController.signal;
+const runId = (window.bugReporterContext || {}).runId;
+// Set from the redaction settings before anything is collected; null when redaction is off
+let redactor = null;
+
 initializeAIBugReporter();
 async function initializeAIBugReporter() {
   try {
+    const providerDefaults = window.AIProviders ? window.AIProviders.settingsDefaults : { aiMode: 'pattern' };
     const settings = await chrome.storage.sync.get({
-      aiMode: 'gemini',
-      geminiApiKey: ''
+      ...providerDefaults,
+      ...(window.Redactor ? window.Redactor.settingsDefaults : {}),
+      aiReviewBeforeSending: false,
+      networkCaptureHeaders: false,
+      networkCaptureBodies: false
     });
+    redactor = window.Redactor ? window.Redactor.fromSettings(settings) : null;
+    
+    const networkOptions = {
+      captureHeaders: settings.networkCaptureHeaders,
+      captureBodies: settings.networkCaptureBodies
+    };
     
-    if (settings.aiMode === 'gemini' && settings.geminiApiKey && settings.geminiApiKey.trim()) {
-      await createGeminiEnhancedReport(settings.geminiApiKey.trim());
+    const provider = window.AIProviders ? window.AIProviders.create(settings) : null;
+    if (provider) {
+      await createAIEnhancedReport(provider, networkOptions, settings.aiReviewBeforeSending);
     } else {
-      createPatternBugReport();
+      await createPatternBugReport(networkOptions);
     }
     
   } catch (error) {
-    createPatternBugReport();
+    if (isCancelled(error)) return;
+    await createPatternBugReport().catch(() => {});
   }
 }
 
-async function createGeminiEnhancedReport(apiKey) {
+function isCancelled(error) {
+  return cancelSignal.aborted || (error && error.name === 'AbortError');
+}
+
+// Progress events go through background.js to the popup, tagged with the run they belong to
+function reportProgress(id, label, status, detail) {
+  chrome.runtime.sendMessage({
+    type: 'analysisProgress',
+    runId: runId,
+    step: { id, label, status, detail: detail || null, timestamp: Date.now() }
+  }).catch(() => {});
+}
+
+async function trackStep(id, label, task) {
+  cancelSignal.throwIfAborted();
+  reportProgress(id, label, 'started');
+  
   try {
-    if (!window.GeminiBugAnalyzer) {
-      throw new Error('Gemini analyzer not available - script injection failed');
-    }
-    
-    const analyzer = new window.GeminiBugAnalyzer(apiKey);
-    
-    let performanceData = null;
-    if (window.PerformanceMonitor) {
-      const monitor = new window.PerformanceMonitor();
-      await monitor.startMonitoring();
-      
-      // Give it time to collect performance data
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      performanceData = monitor.generatePerformanceReport();
-      monitor.stopMonitoring();
-    }
+    const result = await task();
+    reportProgress(id, label, 'finished');
+    return result;
+  } catch (error) {
+    reportProgress(id, label, isCancelled(error) ? 'cancelled' : 'failed', error.message);
+    throw error;
+  }
+}
 
-    let aspNetAnalysis = null;
-    if (window.ASPNETAnalyzer) {
-      const aspAnalyzer = new window.ASPNETAnalyzer();
-      aspNetAnalysis = await aspAnalyzer.analyzeASPNET();
+// The markdown is rendered here so older consumers of bugReportData keep working unchanged
+// Everything handed to the popup can end up in the clipboard, a ticket or an AI chat, so all of it is redacted
+function sendReport(reportDocument, har, analyzerData) {
+  cancelSignal.throwIfAborted();
+  const redactedHar = redact(har);
+  const redactedAnalyzerData = redact(analyzerData);
+  const redactedDocument = {
+    ...redact(reportDocument),
+    redactions: redactor ? redactor.getSummary() : []
+  };
+  
+  chrome.runtime.sendMessage({
+    type: 'bugReportData',
+    runId: runId,
+    report: window.ReportModel.toMarkdown(redactedDocument),
+    reportDocument: redactedDocument,
+    analysis: redactedDocument.analysis,
+    har: redactedHar,
+    analyzerData: redactedAnalyzerData
+  });
+}
+
+function redact(value) {
+  return redactor ? redactor.redact(value) : value;
+}
+
+// Raw analyzer output kept with the report in history; the React trees are reduced to what the prompt sees
+function buildAnalyzerData(analysisType, results, pageDetails) {
+  return {
+    analysisMode: analysisType,
+    performance: results.performanceData,
+    aspNet: results.aspNetAnalysis,
+    react: summarizeReactAnalysis(results.reactAnalysis, results.advancedReactAnalysis),
+    security: results.securityAnalysis,
+    accessibility: results.accessibilityAnalysis,
+    consoleLogs: pageDetails.consoleLogs,
+    errorDetails: pageDetails.errorDetails,
+    domErrors: pageDetails.domErrors,
+    reproductionSteps: pageDetails.reproductionSteps
+  };
+}
+
+function getAnalysisType() {
+  const context = window.bugReporterContext || {};
+  return window.ReportModel.modeLabels[context.analysisType] ? context.analysisType : 'general';
+}
+
+// Analyzers the AI prompt has dedicated fields for; any other registered analyzer reaches it as findings
+const BUILT_IN_ANALYZERS = ['performance', 'aspnet', 'react', 'react-advanced', 'security', 'accessibility'];
+
+// Runs whatever analyzers registered themselves for the mode (see analyzer-registry.js)
+async function runModeAnalyzers(analysisType, networkOptions = {}) {
+  const outcomes = window.analyzerRegistry
+    ? await window.analyzerRegistry.run(analysisType, {
+        options: { network: networkOptions },
+        signal: cancelSignal,
+        onProgress: (step) => reportProgress(step.id, step.label, step.status, step.detail)
+      })
+    : {};
+  const resultOf = (id) => outcomes[id] ? outcomes[id].result : null;
+  const performanceResult = resultOf('performance');
+  
+  return {
+    performanceData: performanceResult ? performanceResult.report : null,
+    networkLog: (performanceResult && performanceResult.har) || buildNetworkLog(networkOptions),
+    aspNetAnalysis: resultOf('aspnet'),
+    reactAnalysis: resultOf('react'),
+    advancedReactAnalysis: resultOf('react-advanced'),
+    securityAnalysis: resultOf('security'),
+    accessibilityAnalysis: resultOf('accessibility'),
+    sections: Object.values(outcomes).map(outcome => outcome.section).filter(Boolean),
+    otherSections: Object.values(outcomes)
+      .filter(outcome => outcome.section && !BUILT_IN_ANALYZERS.includes(outcome.id))
+      .map(outcome => outcome.section)
+  };
+}
+
+// One-line result of the mode's own analyzer, used for headers when AI is off
+function getModeSummary(analysisType, results) {
+  switch (analysisType) {
+    case 'performance':
+      return results.performanceData
+        ? `Performance score ${results.performanceData.score}/100${results.performanceData.issues.length > 0 ? ` - ${results.performanceData.issues[0]}` : ''}`
+        : null;
+    case 'react':
+      return results.reactAnalysis && results.reactAnalysis.reactInfo.detected
+        ? `React ${results.reactAnalysis.reactInfo.version} with ${results.reactAnalysis.recommendations.length} recommendations`
+        : 'React not detected on this page';
+    case 'security':
+      return results.securityAnalysis ? results.securityAnalysis.summary : null;
+    case 'accessibility':
+      return results.accessibilityAnalysis ? results.accessibilityAnalysis.summary : null;
+    default:
+      return null;
+  }
+}
+
+// The React analyzers return full trees; the prompt only needs the conclusions
+function summarizeReactAnalysis(reactAnalysis, advancedReactAnalysis) {
+  if (!reactAnalysis || !reactAnalysis.reactInfo.detected) {
+    return null;
+  }
+  
+  return {
+    reactInfo: reactAnalysis.reactInfo,
+    components: {
+      total: reactAnalysis.components.totalComponents,
+      functional: reactAnalysis.components.functionalComponents,
+      class: reactAnalysis.components.classComponents,
+      issues: reactAnalysis.components.issues
+    },
+    totalRenderTime: reactAnalysis.performance.renderPerformance.totalRenderTime,
+    recommendations: reactAnalysis.recommendations,
+    advanced: advancedReactAnalysis ? {
+      memoryLeakRisk: advancedReactAnalysis.advancedPerformance.memoryLeaks.riskLevel,
+      hookIssues: advancedReactAnalysis.advancedPerformance.hookDependencies.potentialIssues,
+      errorBoundaries: advancedReactAnalysis.errorHandling.errorBoundaries,
+      recommendations: [
+        ...advancedReactAnalysis.advancedPerformance.recommendations,
+        ...advancedReactAnalysis.stateManagement.recommendations,
+        ...advancedReactAnalysis.errorHandling.recommendations
+      ]
+    } : null
+  };
+}
+
+async function createAIEnhancedReport(provider, networkOptions = {}, reviewBeforeSending = false) {
+  let results = null;
+  
+  try {
+    if (!window.AIBugAnalyzer) {
+      throw new Error('AI analyzer not available - script injection failed');
     }
+    
+    const analyzer = new window.AIBugAnalyzer(provider);
+    const analysisType = getAnalysisType();
+    results = await runModeAnalyzers(analysisType, networkOptions);
 
+    const consoleLogs = getConsoleLogs();
+    const errorDetails = await trackStep('stacks', 'Resolving error stack traces', () => resolveErrorStacks(consoleLogs));
     const pageData = {
       url: window.location.href,
       title: document.title,
       content: document.body.innerText.slice(0, 2000),
-      consoleErrors: getConsoleLogs(),
+      analysisType: analysisType,
+      consoleErrors: consoleLogs,
+      errorDetails: errorDetails,
       domErrors: getDomErrors(),
-      performanceData: performanceData,
-      aspNetAnalysis: aspNetAnalysis,
+      reproductionSteps: getReproductionSteps(),
+      performanceData: results.performanceData,
+      aspNetAnalysis: results.aspNetAnalysis,
+      reactAnalysis: summarizeReactAnalysis(results.reactAnalysis, results.advancedReactAnalysis),
+      securityAnalysis: results.securityAnalysis,
+      accessibilityAnalysis: results.accessibilityAnalysis,
+      otherAnalyzerFindings: results.otherSections,
+      screenshot: (window.bugReporterContext || {}).screenshot || null,
       timestamp: new Date().toISOString()
     };
     
-    let reactAnalysis = null;
-    let advancedReactAnalysis = null;
-    
-    if (window.ReactQAAnalyzer) {
-      const reactAnalyzer = new window.ReactQAAnalyzer();
-      reactAnalysis = await reactAnalyzer.analyzeReactApp();
-      
-      if (reactAnalysis && reactAnalysis.reactInfo.detected && window.ReactAdvancedAnalyzer) {
-        const advancedAnalyzer = new window.ReactAdvancedAnalyzer();
-        advancedReactAnalysis = await advancedAnalyzer.analyzeAdvancedReact();
-      }
-    }
-    
-    const analysis = await analyzer.analyzeBugReport(pageData);
-    
-    let report = `${analysis.header}\n\n`;
-    
-    report += `### Gemini AI Analysis\n`;
-    report += `**Summary:** ${analysis.summary}\n\n`;
-    report += `**Severity:** ${analysis.severity} (${analysis.severityConfidence}% confidence)\n`;
-    report += `**Category:** ${analysis.category} (${analysis.categoryConfidence}% confidence)\n`;
-    report += `**Priority:** ${analysis.priority}\n\n`;
-    
-    if (analysis.rootCause) {
-      report += `**Root Cause:** ${analysis.rootCause}\n\n`;
-    }
+    // The screenshot is image data, not text, so it skips the redactor
+    const requestData = { ...redact({ ...pageData, screenshot: null }), screenshot: pageData.screenshot };
+    let excludedSections = [];
+    const analysis = await analyzer.analyzeBugReport(requestData, {
+      signal: cancelSignal,
+      onProgress: (step) => reportProgress(step.id, step.label, step.status, step.detail),
+      onModelResult: ({ model, error }) => window.AIProviders.recordModelStatus(provider.id, model, error),
+      onReview: reviewBeforeSending ? async () => {
+        excludedSections = await requestPayloadReview(provider, requestData);
+        return excludedSections;
+      } : null
+    });
     
-    if (analysis.userImpact) {
-      report += `**User Impact:** ${analysis.userImpact}\n\n`;
-    }
+    const reportDocument = window.ReportModel.create({
+      generatedAt: pageData.timestamp,
+      page: { url: pageData.url, title: pageData.title },
+      analysisMode: analysisType,
+      analysis: { ...analysis, engine: provider.id, provider: provider.label, excludedSections },
+      sections: results.sections,
+      reproductionSteps: pageData.reproductionSteps,
+      errors: pageData.errorDetails,
+      consoleLogs: pageData.consoleErrors,
+      domErrors: pageData.domErrors
+    });
     
-    if (analysis.suggestedFix) {
-      report += `**Suggested Fix:** ${analysis.suggestedFix}\n\n`;
-    }
+    sendReport(reportDocument, results.networkLog, buildAnalyzerData(analysisType, results, {
+      consoleLogs: pageData.consoleErrors,
+      errorDetails: pageData.errorDetails,
+      domErrors: pageData.domErrors,
+      reproductionSteps: pageData.reproductionSteps
+    }));
     
-    if (analysis.technicalDetails) {
-      report += `**Technical Details:** ${analysis.technicalDetails}\n\n`;
-    }
+  } catch (error) {
+    if (isCancelled(error)) return;
     
-    if (reactAnalysis && reactAnalysis.reactInfo.detected) {
-      report += `### ⚛️ React Analysis\n`;
-      report += `**React Version:** ${reactAnalysis.reactInfo.version}\n`;
-      report += `**Mode:** ${reactAnalysis.reactInfo.mode}\n`;
-      report += `**DevTools:** ${reactAnalysis.reactInfo.devTools ? 'Available' : 'Not Found'}\n`;
-      report += `**Components:** ${reactAnalysis.components.totalComponents} (${reactAnalysis.components.functionalComponents} functional, ${reactAnalysis.components.classComponents} class)\n`;
-      report += `**Performance Score:** ${reactAnalysis.performance.renderPerformance.totalRenderTime.toFixed(1)}ms total render time\n`;
-      report += `**Accessibility Score:** ${reactAnalysis.accessibility.score}%\n\n`;
-      
-      if (reactAnalysis.recommendations.length > 0) {
-        report += `**React Recommendations:**\n`;
-        reactAnalysis.recommendations.slice(0, 3).forEach(rec => {
-          const priority = rec.priority === 'high' ? '🔴' : rec.priority === 'medium' ? '🟡' : '🟢';
-          report += `${priority} ${rec.title}: ${rec.description}\n`;
-        });
-        report += '\n';
-      }
-      
-      if (advancedReactAnalysis) {
-        report += `### 🔬 Advanced React Analysis\n`;
-        report += `**Memory Leak Risk:** ${advancedReactAnalysis.advancedPerformance.memoryLeaks.riskLevel}\n`;
-        report += `**Hook Issues:** ${advancedReactAnalysis.advancedPerformance.hookDependencies.potentialIssues}\n`;
-        
-        if (advancedReactAnalysis.stateManagement.redux.detected) {
-          report += `**Redux:** Detected\n`;
-        }
-        if (advancedReactAnalysis.stateManagement.context.providers > 0) {
-          report += `**Context Providers:** ${advancedReactAnalysis.stateManagement.context.providers}\n`;
-        }
-        
-        report += `**Error Boundaries:** ${advancedReactAnalysis.errorHandling.errorBoundaries}\n`;
-        
-        const testingFrameworks = Object.keys(advancedReactAnalysis.testing.frameworks).filter(key => advancedReactAnalysis.testing.frameworks[key]);
-        if (testingFrameworks.length > 0) {
-          report += `**Testing:** ${testingFrameworks.join(', ')}\n`;
-        }
-        
-        const advancedRecs = [
-          ...advancedReactAnalysis.advancedPerformance.recommendations,
-          ...advancedReactAnalysis.stateManagement.recommendations,
-          ...advancedReactAnalysis.errorHandling.recommendations
-        ];
-        
-        if (advancedRecs.length > 0) {
-          report += `\n**Advanced Recommendations:**\n`;
-          advancedRecs.slice(0, 2).forEach(rec => {
-            const priority = rec.priority === 'critical' ? '🔴' : rec.priority === 'high' ? '🟠' : rec.priority === 'medium' ? '🟡' : '🟢';
-            report += `${priority} ${rec.title}: ${rec.description}\n`;
-          });
-        }
-        report += '\n';
-      }
-    }
+    // Recorded on the report so readers can tell a broken AI answer from a page without AI analysis
+    const aiError = error.name === 'AIResponseInvalidError'
+      ? { status: 'invalid', message: error.message, validationErrors: error.validationErrors }
+      : { status: error.name === 'AIRequestDeclinedError' ? 'declined' : 'failed', message: error.message };
+    const fallbackLabels = {
+      invalid: 'AI response invalid - using pattern analysis',
+      declined: 'AI request not sent - using pattern analysis',
+      failed: `${provider.label} analysis failed - using pattern analysis`
+    };
+    const fallbackLabel = fallbackLabels[aiError.status];
+    reportProgress('fallback', fallbackLabel, 'failed', error.message);
+    await createPatternBugReport(networkOptions, results, aiError);
+  }
+}
 
-    if (aspNetAnalysis && aspNetAnalysis.detected) {
-      report += `### 🖥️ ASP.NET Analysis\n`;
-      report += `**Platform:** ${aspNetAnalysis.version}\n`;
-      
-      if (aspNetAnalysis.summary) {
-        report += `**Status:** ${aspNetAnalysis.summary}\n`;
-      }
-      
-      if (aspNetAnalysis.issues && aspNetAnalysis.issues.length > 0) {
-        report += `**Issues Found:** ${aspNetAnalysis.issues.length}\n`;
-        aspNetAnalysis.issues.slice(0, 3).forEach(issue => {
-          const severity = issue.type.includes('Critical') ? '🔴' : issue.type.includes('Large') ? '🟡' : '🟢';
-          report += `${severity} ${issue.type}: ${issue.issue}\n`;
-        });
-        report += '\n';
-      }
-      
-      if (aspNetAnalysis.recommendations && aspNetAnalysis.recommendations.length > 0) {
-        report += `**ASP.NET Recommendations:**\n`;
-        aspNetAnalysis.recommendations.slice(0, 2).forEach(rec => {
-          report += `• ${rec}\n`;
-        });
-        report += '\n';
-      }
+// The popup shows the payload and answers with the section ids to leave out, or null to send nothing.
+// A closed popup can't answer, which counts as declining.
+async function requestPayloadReview(provider, requestData) {
+  const review = chrome.runtime.sendMessage({
+    type: 'aiPayloadReview',
+    runId: runId,
+    review: {
+      provider: { id: provider.id, label: provider.label, enforcesSchema: provider.enforcesSchema },
+      destination: provider.getEndpoint(provider.model),
+      models: provider.getModels(),
+      pageData: requestData
     }
-    
-    report += `**URL:** ${pageData.url}\n`;
-    report += `**Page Title:** ${pageData.title}\n`;
-    report += `**Timestamp:** ${pageData.timestamp}\n`;
-    report += `**Analysis Type:** ${analysis.analysisType}\n\n`;
-    
-        report += addConsoleLogsSection(pageData.consoleErrors);
-    report += addDomErrorsSection(pageData.domErrors);
-    
-    chrome.runtime.sendMessage({ type: 'bugReportData', report: report });
-    
-  } catch (error) {
-    createPatternBugReport();
-  }
+  }).catch(() => null);
+  const cancelled = new Promise((resolve, reject) => {
+    cancelSignal.addEventListener('abort', () => reject(cancelSignal.reason), { once: true });
+  });
+  
+  const decision = await Promise.race([review, cancelled]);
+  return decision && decision.approved ? decision.excludedSections || [] : null;
 }
 
-function createPatternBugReport() {
+// Reuses analyzer results when falling back from a failed AI run; aiError says why it failed
+async function createPatternBugReport(networkOptions = {}, analyzerResults = null, aiError = null) {
   const url = window.location.href;
   const pageContent = document.body.innerText.slice(0, 1000);
   const consoleLogs = getConsoleLogs();
   const domErrors = getDomErrors();
+  const analysisType = getAnalysisType();
+  const results = analyzerResults || await runModeAnalyzers(analysisType, networkOptions);
+  const modeSummary = getModeSummary(analysisType, results);
+  const modeLabel = window.ReportModel.modeLabels[analysisType];
   
-  const smartHeader = enhancedFallbackHeader(url, domErrors, pageContent);
+  const smartHeader = modeSummary
+    ? `## ${modeLabel}: ${modeSummary} (Pattern Analysis)`
+    : enhancedFallbackHeader(url, domErrors, pageContent);
   
   const context = analyzeContextWithPatterns(pageContent);
+  const reproductionSteps = getReproductionSteps();
+  const errorDetails = await trackStep('stacks', 'Resolving error stack traces', () => resolveErrorStacks(consoleLogs));
   
-  let report = `${smartHeader}\n\n`;
+  const analysis = {
+    engine: 'pattern',
+    header: smartHeader,
+    summary: smartHeader.replace(/^#+\s*/, '').replace(/\s*\(Pattern Analysis\)$/, ''),
+    severity: context.severity,
+    severityConfidence: context.severityConfidence,
+    category: analysisType === 'general' ? context.context : modeLabel,
+    categoryConfidence: analysisType === 'general' ? context.contextConfidence : null,
+    priority: context.severity === 'critical error' ? 'high' : 'medium',
+    analysisType: context.analysisType,
+    aiError
+  };
   
-  const analysisTitle = 'Pattern Analysis';
-  report += `### ${analysisTitle}\n`;
-  report += `**Issue Severity:** ${context.severity} (${context.severityConfidence}% confidence)\n`;
-  report += `**Issue Context:** ${context.context} (${context.contextConfidence}% confidence)\n`;
-  report += `**Analysis Type:** ${context.analysisType}\n\n`;
+  const reportDocument = window.ReportModel.create({
+    page: { url, title: document.title },
+    analysisMode: analysisType,
+    analysis,
+    sections: results.sections,
+    reproductionSteps,
+    errors: errorDetails,
+    consoleLogs,
+    domErrors
+  });
   
-  report += `**URL:** ${url}\n`;
-  report += `**Page Title:** ${document.title}\n`;
-  report += `**Timestamp:** ${new Date().toISOString()}\n\n`;
+  sendReport(reportDocument, results.networkLog, buildAnalyzerData(analysisType, results, {
+    consoleLogs,
+    errorDetails,
+    domErrors,
+    reproductionSteps
+  }));
+}
 
-    report += addConsoleLogsSection(consoleLogs);
-  report += addDomErrorsSection(domErrors);
-  
-  chrome.runtime.sendMessage({ type: 'bugReportData', report: report });
+// HAR built from Resource Timing alone, for reports that skip performance monitoring
+// Starting the recorder replays what network-capture.js has buffered, synchronously
+function buildNetworkLog(networkOptions = {}) {
+  if (!window.NetworkRecorder) {
+    return null;
+  }
+  const recorder = new window.NetworkRecorder(networkOptions);
+  recorder.start();
+  recorder.stop();
+  return recorder.toHAR();
 }
 
 // Enhanced fallback header generation (pattern-based)
@@ -382,9 +574,13 @@ function analyzeContextWithPatterns(pageContent) {
   };
 }
 
-// Get captured console logs
+// Get captured console logs, including anything buffered since page load by early-capture.js
 function getConsoleLogs() {
-  return window.capturedLogs || setupConsoleCapture();
+  const context = window.bugReporterContext || {};
+  const earlyLogs = (context.earlyConsoleLogs || []).map(log => ({ ...log, early: true }));
+  const liveLogs = window.capturedLogs || setupConsoleCapture();
+  
+  return [...earlyLogs, ...liveLogs].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
 }
 
 // Enhanced DOM error detection
@@ -425,42 +621,67 @@ function getDomErrors() {
     // Ignore extraction errors
   }
 
-  // Check for JavaScript errors in page
-  if (window.onerror || window.addEventListener) {
-    window.addEventListener('error', (event) => {
-      errors.push(`JavaScript Error: ${event.error?.message || event.message}`);
-    });
-  }
-
   return errors;
 }
 
-// Helper function to add console logs section
-function addConsoleLogsSection(consoleLogs) {
-  let section = '### Console Activity\n';
-  if (consoleLogs.length > 0) {
-    consoleLogs.forEach(log => {
-      section += `[${log.method.toUpperCase()}] ${log.args.join(' ')}\n`;
+// Resolve captured error stacks, through source maps where the page exposes them
+async function resolveErrorStacks(consoleLogs) {
+  const errors = [];
+  consoleLogs.forEach(log => {
+    (log.errors || []).forEach(error => {
+      errors.push({ ...error, method: log.method, timestamp: log.timestamp });
     });
-  } else {
-    section += 'No console activity detected.\n';
+  });
+  
+  const recentErrors = errors.slice(-20);
+  if (!window.StackTraceResolver) {
+    return recentErrors;
   }
-  section += '\n';
-  return section;
+  
+  const resolver = new window.StackTraceResolver();
+  return Promise.all(recentErrors.map(error => resolver.resolveError(error).catch(() => error)));
 }
 
-// Helper function to add DOM errors section
-function addDomErrorsSection(domErrors) {
-  let section = '### Page Issues\n';
-  if (domErrors.length > 0) {
-    domErrors.forEach(error => {
-      section += `- ${error}\n`;
-    });
-  } else {
-    section += 'No obvious page issues found.\n';
+// Recorded interactions handed over by the popup, as readable sentences
+function getReproductionSteps() {
+  const context = window.bugReporterContext || {};
+  const steps = context.reproductionSteps || [];
+  
+  // Consecutive scrolls only matter for their final position
+  const collapsed = steps.filter((step, index) => {
+    const next = steps[index + 1];
+    return !(step.type === 'scroll' && next && next.type === 'scroll');
+  });
+  
+  return collapsed.map(describeStep);
+}
+
+function describeStep(step) {
+  const target = step.label ? `"${step.label}"` : (step.tagName || 'element');
+  const selector = step.selector ? ` (\`${step.selector}\`)` : '';
+  
+  switch (step.type) {
+    case 'navigate': {
+      const verb = step.reason === 'start' ? 'Open' : step.reason === 'page-load' ? 'Page loads' : 'Navigate to';
+      return `${verb} ${step.url}${step.note ? ` - ${step.note}` : ''}`;
+    }
+    case 'click':
+      return `Click ${target}${selector}`;
+    case 'input':
+      if (step.inputType === 'checkbox' || step.inputType === 'radio') {
+        return `${step.value === 'checked' ? 'Check' : 'Uncheck'} ${target}${selector}`;
+      }
+      if (step.tagName === 'select') {
+        return `Select "${step.value}" in ${target}${selector}`;
+      }
+      return `Enter ${step.value} in ${target}${selector}`;
+    case 'submit':
+      return `Submit form ${target}${selector}`;
+    case 'scroll':
+      return `Scroll to position (${step.scrollX}, ${step.scrollY})`;
+    default:
+      return `${step.type} ${target}${selector}`;
   }
-  section += '\n';
-  return section;
 }
 
 })(); // Close the IIFE that prevents duplicate execution
@@ -0,0 +1,41 @@
+// Static copy of the page for the report bundle: scripts and inline handlers are removed so opening the file
+// can't run page code, typed form values and passwords are left out, and a <base> keeps relative URLs working.
+// Injected by the popup only when a bundle is downloaded, so reports don't copy the whole DOM every time.
+class DomSnapshot {
+  // Larger pages are left out rather than sent to the popup
+  static get maxLength() {
+    return 5 * 1024 * 1024;
+  }
+
+  // Returns the HTML, or null when the page is too large or can't be copied
+  static capture() {
+    try {
+      const root = document.documentElement.cloneNode(true);
+      root.querySelectorAll('script, noscript, iframe, object, embed').forEach(element => element.remove());
+      root.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes)
+          .filter(attribute => /^on/i.test(attribute.name) || /^\s*javascript:/i.test(attribute.value))
+          .forEach(attribute => element.removeAttribute(attribute.name));
+      });
+      root.querySelectorAll('input[type="password"]').forEach(input => input.removeAttribute('value'));
+
+      const head = root.querySelector('head');
+      if (head) {
+        const base = document.createElement('base');
+        base.href = document.baseURI;
+        head.prepend(base);
+      }
+
+      const doctype = document.doctype ? `<!DOCTYPE ${document.doctype.name}>\n` : '';
+      const snapshot = `${doctype}<!-- Snapshot of ${window.location.href} taken ${new Date().toISOString()} -->\n${root.outerHTML}`;
+      return snapshot.length <= DomSnapshot.maxLength ? snapshot : null;
+    } catch (error) {
+      console.warn('DOM snapshot failed:', error);
+      return null;
+    }
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.DomSnapshot = DomSnapshot;
+}
@@ -0,0 +1,108 @@
+// Runs in the page's MAIN world at document_start so it sees console output from the very first script.
+// No extension APIs are available here; the popup reads the buffer back with scripting.executeScript.
+(function() {
+  if (window.__bugReporterEarlyCapture) return;
+
+  const MAX_ENTRIES = 500;
+  const MAX_ARG_LENGTH = 2000;
+  const methods = ['log', 'warn', 'error', 'info', 'debug'];
+  const buffer = {
+    startedAt: new Date().toISOString(),
+    pageUrl: window.location.href,
+    dropped: 0,
+    entries: []
+  };
+
+  Object.defineProperty(window, '__bugReporterEarlyCapture', {
+    value: buffer,
+    enumerable: false
+  });
+
+  function serializeArg(arg) {
+    let text;
+    try {
+      if (arg instanceof Error) {
+        text = `${arg.name}: ${arg.message}`;
+      } else if (typeof arg === 'object' && arg !== null) {
+        text = JSON.stringify(arg, null, 2);
+      } else {
+        text = String(arg);
+      }
+    } catch {
+      text = '[Circular Object]';
+    }
+    return text.length > MAX_ARG_LENGTH ? `${text.slice(0, MAX_ARG_LENGTH)}…` : text;
+  }
+
+  // Error objects lose their stack through JSON.stringify, so keep the fields explicitly
+  function describeError(error, location) {
+    const info = {
+      name: error && error.name ? String(error.name) : 'Error',
+      message: error && error.message !== undefined ? String(error.message) : String(error),
+      stack: error && error.stack ? String(error.stack) : null,
+      file: null,
+      line: null,
+      column: null
+    };
+
+    if (location) {
+      info.file = location.file || null;
+      info.line = location.line || null;
+      info.column = location.column || null;
+    }
+
+    return info;
+  }
+
+  function pushEntry(entry) {
+    if (buffer.entries.length >= MAX_ENTRIES) {
+      buffer.entries.shift();
+      buffer.dropped++;
+    }
+    buffer.entries.push({ ...entry, timestamp: new Date().toISOString() });
+  }
+
+  methods.forEach(method => {
+    const original = console[method];
+    console[method] = function(...args) {
+      try {
+        const errors = args.filter(arg => arg instanceof Error).map(arg => describeError(arg));
+        pushEntry({ method, source: 'console', args: args.map(serializeArg), errors });
+      } catch {
+        // Never let capture break the page's own logging
+      }
+      return original.apply(this, args);
+    };
+  });
+
+  window.addEventListener('error', (event) => {
+    // Resource load failures (img/script 404s) bubble here without an ErrorEvent message
+    if (!(event instanceof ErrorEvent)) {
+      const target = event.target;
+      const url = target && (target.src || target.href);
+      if (url) {
+        pushEntry({ method: 'error', source: 'resource', args: [`Failed to load resource: ${url}`] });
+      }
+      return;
+    }
+
+    const location = { file: event.filename, line: event.lineno, column: event.colno };
+    const errorInfo = describeError(event.error || { name: 'Error', message: event.message }, location);
+
+    pushEntry({
+      method: 'error',
+      source: 'window.onerror',
+      args: [`Uncaught ${event.message}`, `at ${event.filename}:${event.lineno}:${event.colno}`],
+      errors: [errorInfo]
+    });
+  }, true);
+
+  window.addEventListener('unhandledrejection', (event) => {
+    pushEntry({
+      method: 'error',
+      source: 'unhandledrejection',
+      args: ['Unhandled promise rejection:', serializeArg(event.reason)],
+      errors: event.reason instanceof Error ? [describeError(event.reason)] : []
+    });
+  });
+})();
@@ -0,0 +1,186 @@
+const reportHistory = new ReportHistory();
+let historyIndex = [];
+let expandedReportId = null;
+
+document.addEventListener('DOMContentLoaded', loadHistory);
+['searchQuery', 'domainFilter', 'severityFilter', 'fromDate', 'toDate'].forEach(id => {
+  document.getElementById(id).addEventListener('input', renderHistory);
+});
+document.getElementById('clearHistory').addEventListener('click', clearHistory);
+
+// Reports saved from an open popup show up without reloading the page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.reportHistoryIndex) {
+    loadHistory();
+  }
+});
+
+async function loadHistory() {
+  historyIndex = await reportHistory.list();
+  populateDomainFilter();
+  renderHistory();
+}
+
+function populateDomainFilter() {
+  const select = document.getElementById('domainFilter');
+  const selected = select.value;
+  const domains = [...new Set(historyIndex.map(item => item.domain))].sort();
+
+  select.replaceChildren(new Option('All domains', ''));
+  domains.forEach(domain => select.appendChild(new Option(domain, domain)));
+  select.value = domains.includes(selected) ? selected : '';
+}
+
+function getFilters() {
+  return {
+    query: document.getElementById('searchQuery').value,
+    domain: document.getElementById('domainFilter').value,
+    severity: document.getElementById('severityFilter').value,
+    from: document.getElementById('fromDate').value,
+    to: document.getElementById('toDate').value
+  };
+}
+
+function renderHistory() {
+  const list = document.getElementById('historyList');
+  const matches = reportHistory.filter(historyIndex, getFilters());
+
+  document.getElementById('resultCount').textContent = historyIndex.length === 0
+    ? ''
+    : `Showing ${matches.length} of ${historyIndex.length} saved reports`;
+
+  list.replaceChildren();
+
+  if (matches.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = historyIndex.length === 0
+      ? 'No saved reports yet. Reports are saved here automatically when you run an analysis.'
+      : 'No reports match these filters.';
+    list.appendChild(empty);
+    return;
+  }
+
+  matches.forEach(item => list.appendChild(createHistoryItem(item)));
+}
+
+function createHistoryItem(item) {
+  const container = document.createElement('div');
+  container.className = 'history-item';
+
+  const summary = document.createElement('div');
+  summary.className = 'history-summary';
+
+  const badge = document.createElement('span');
+  badge.className = `severity-badge ${item.severityLevel}`;
+  badge.textContent = item.severityLevel;
+
+  const main = document.createElement('div');
+  main.className = 'history-main';
+
+  const title = document.createElement('div');
+  title.className = 'history-title';
+  title.textContent = item.summary || item.title;
+
+  const meta = document.createElement('div');
+  meta.className = 'history-meta';
+  meta.textContent = `${new Date(item.timestamp).toLocaleString()} · ${item.domain} · ${item.category} · ${item.title}`;
+  meta.title = item.url;
+
+  main.append(title, meta);
+  summary.append(badge, main);
+  container.appendChild(summary);
+
+  summary.addEventListener('click', () => {
+    expandedReportId = expandedReportId === item.id ? null : item.id;
+    renderHistory();
+  });
+
+  if (expandedReportId === item.id) {
+    const detail = document.createElement('div');
+    detail.className = 'history-detail';
+    detail.textContent = 'Loading report...';
+    container.appendChild(detail);
+    renderHistoryDetail(detail, item.id);
+  }
+
+  return container;
+}
+
+async function renderHistoryDetail(detail, id) {
+  const record = await reportHistory.get(id);
+
+  if (!record) {
+    detail.textContent = 'This report is no longer stored.';
+    return;
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+  actions.append(
+    createActionButton('📋 Copy', (button) => copyReport(record, button)),
+    createActionButton('⬇️ Markdown', () => exportReport(record, 'md')),
+    createActionButton('⬇️ HTML', () => exportReport(record, 'html')),
+    createActionButton('⬇️ PDF', () => exportReport(record, 'pdf')),
+    createActionButton('⬇️ JSON', () => exportReport(record, 'json')),
+    createActionButton('🔗 Open page', () => chrome.tabs.create({ url: record.url })),
+    createActionButton('🗑️ Delete', () => deleteReport(record), 'danger')
+  );
+
+  // Every record has its markdown, including ones saved before the report model existed
+  const report = document.createElement('div');
+  report.className = 'history-report rendered';
+  report.append(MarkdownRenderer.render(record.report));
+
+  detail.replaceChildren(actions, report);
+}
+
+function createActionButton(label, onClick, variant) {
+  const button = document.createElement('button');
+  button.className = variant ? `secondary-button ${variant}` : 'secondary-button';
+  button.textContent = label;
+  button.addEventListener('click', () => onClick(button));
+  return button;
+}
+
+async function copyReport(record, button) {
+  try {
+    await navigator.clipboard.writeText(record.report);
+    button.textContent = '✅ Copied';
+  } catch (error) {
+    button.textContent = '❌ Copy failed';
+  }
+  setTimeout(() => { button.textContent = '📋 Copy'; }, 2000);
+}
+
+// Screenshots aren't kept in history, so HTML and PDF exports from here are text only
+async function exportReport(record, format) {
+  const timestamp = record.timestamp.replace(/[:.]/g, '-');
+  const baseName = `bug-report-${record.domain}-${timestamp}`;
+  const exportInput = { markdown: record.report, title: `Bug report: ${record.title}` };
+
+  if (format === 'json') {
+    await ReportExporter.download(`${baseName}.json`, JSON.stringify(record, null, 2), 'application/json');
+  } else if (format === 'html') {
+    await ReportExporter.download(`${baseName}.html`, ReportExporter.toHTML(exportInput), 'text/html');
+  } else if (format === 'pdf') {
+    await ReportExporter.download(`${baseName}.pdf`, await ReportExporter.toPDF(exportInput), 'application/pdf');
+  } else {
+    await ReportExporter.download(`${baseName}.md`, record.report, 'text/markdown');
+  }
+}
+
+async function deleteReport(record) {
+  if (!confirm(`Delete the report for "${record.title}"?`)) return;
+
+  await reportHistory.delete(record.id);
+  expandedReportId = null;
+}
+
+async function clearHistory() {
+  if (historyIndex.length === 0) return;
+  if (!confirm(`Delete all ${historyIndex.length} saved reports? This cannot be undone.`)) return;
+
+  await reportHistory.clear();
+  expandedReportId = null;
+}
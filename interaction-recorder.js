@@ -0,0 +1,242 @@
+class InteractionRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.lastUrl = window.location.href;
+    this.scrollTimer = null;
+    this.urlPollTimer = null;
+    this.maskCharacter = '•';
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleChange = this.handleChange.bind(this);
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    this.checkUrlChange = this.checkUrlChange.bind(this);
+  }
+
+  start(resumed = false) {
+    if (this.isRecording) return;
+    this.isRecording = true;
+    this.lastUrl = window.location.href;
+
+    document.addEventListener('click', this.handleClick, true);
+    document.addEventListener('change', this.handleChange, true);
+    document.addEventListener('submit', this.handleSubmit, true);
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+
+    // Page scripts call history.pushState in their own world, so poll for SPA route changes
+    window.addEventListener('popstate', this.checkUrlChange);
+    window.addEventListener('hashchange', this.checkUrlChange);
+    this.urlPollTimer = setInterval(this.checkUrlChange, 500);
+
+    this.recordStep({
+      type: 'navigate',
+      url: window.location.href,
+      title: document.title,
+      reason: resumed ? 'page-load' : 'start'
+    });
+  }
+
+  stop() {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+
+    document.removeEventListener('click', this.handleClick, true);
+    document.removeEventListener('change', this.handleChange, true);
+    document.removeEventListener('submit', this.handleSubmit, true);
+    window.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('popstate', this.checkUrlChange);
+    window.removeEventListener('hashchange', this.checkUrlChange);
+    clearInterval(this.urlPollTimer);
+    clearTimeout(this.scrollTimer);
+  }
+
+  recordStep(step) {
+    const entry = {
+      ...step,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      chrome.runtime.sendMessage({ type: 'recordedStep', step: entry }).catch(() => {});
+    } catch (error) {
+      // Extension was reloaded while recording - nothing left to report to
+      this.stop();
+    }
+  }
+
+  handleClick(event) {
+    const target = event.target.closest(
+      'a, button, input, select, textarea, label, summary, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [onclick]'
+    ) || event.target;
+
+    // Typing into fields is captured by the change handler instead
+    if (target.matches('input:not([type="checkbox"]):not([type="radio"]):not([type="submit"]):not([type="button"]), textarea, select')) {
+      return;
+    }
+
+    this.recordStep({
+      type: 'click',
+      selector: this.getStableSelector(target),
+      label: this.getElementLabel(target),
+      tagName: target.tagName.toLowerCase()
+    });
+  }
+
+  handleChange(event) {
+    const target = event.target;
+    if (!target.matches('input, select, textarea')) return;
+
+    this.recordStep({
+      type: 'input',
+      selector: this.getStableSelector(target),
+      label: this.getElementLabel(target),
+      tagName: target.tagName.toLowerCase(),
+      inputType: target.type || null,
+      value: this.getMaskedValue(target)
+    });
+  }
+
+  handleSubmit(event) {
+    const form = event.target;
+
+    this.recordStep({
+      type: 'submit',
+      selector: this.getStableSelector(form),
+      label: form.getAttribute('aria-label') || form.getAttribute('name') || form.id || 'form',
+      action: form.getAttribute('action') || window.location.pathname
+    });
+  }
+
+  handleScroll() {
+    // Only the resting position matters for reproduction, not every scroll frame
+    clearTimeout(this.scrollTimer);
+    this.scrollTimer = setTimeout(() => {
+      this.recordStep({
+        type: 'scroll',
+        scrollX: Math.round(window.scrollX),
+        scrollY: Math.round(window.scrollY)
+      });
+    }, 400);
+  }
+
+  checkUrlChange() {
+    if (window.location.href === this.lastUrl) return;
+    this.lastUrl = window.location.href;
+
+    this.recordStep({
+      type: 'navigate',
+      url: window.location.href,
+      title: document.title,
+      reason: 'route-change'
+    });
+  }
+
+  getMaskedValue(element) {
+    if (element.type === 'checkbox' || element.type === 'radio') {
+      return element.checked ? 'checked' : 'unchecked';
+    }
+
+    if (element.tagName === 'SELECT') {
+      const option = element.options[element.selectedIndex];
+      return option ? option.text.trim().slice(0, 50) : '';
+    }
+
+    const length = (element.value || '').length;
+    return length > 0 ? this.maskCharacter.repeat(Math.min(length, 12)) : '(empty)';
+  }
+
+  getElementLabel(element) {
+    const candidates = [
+      element.getAttribute('aria-label'),
+      element.labels && element.labels[0] ? element.labels[0].innerText : null,
+      element.tagName === 'INPUT' && ['submit', 'button'].includes(element.type) ? element.value : null,
+      element.innerText,
+      element.getAttribute('placeholder'),
+      element.getAttribute('title'),
+      element.getAttribute('alt'),
+      element.getAttribute('name')
+    ];
+
+    const label = candidates.find(candidate => candidate && candidate.trim());
+    return label ? label.trim().replace(/\s+/g, ' ').slice(0, 60) : '';
+  }
+
+  getStableSelector(element) {
+    const testAttributes = ['data-testid', 'data-test', 'data-cy', 'data-qa'];
+
+    for (const attribute of testAttributes) {
+      const value = element.getAttribute(attribute);
+      if (value) {
+        return `[${attribute}="${CSS.escape(value)}"]`;
+      }
+    }
+
+    if (this.isStableId(element.id)) {
+      return `#${CSS.escape(element.id)}`;
+    }
+
+    const tagName = element.tagName.toLowerCase();
+
+    const name = element.getAttribute('name');
+    if (name && this.isUnique(`${tagName}[name="${CSS.escape(name)}"]`)) {
+      return `${tagName}[name="${CSS.escape(name)}"]`;
+    }
+
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel && this.isUnique(`${tagName}[aria-label="${CSS.escape(ariaLabel)}"]`)) {
+      return `${tagName}[aria-label="${CSS.escape(ariaLabel)}"]`;
+    }
+
+    return this.getPathSelector(element);
+  }
+
+  // Walks up to the nearest anchored ancestor so the selector survives unrelated DOM changes
+  getPathSelector(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE && parts.length < 5) {
+      if (current !== element && this.isStableId(current.id)) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+
+      const tagName = current.tagName.toLowerCase();
+      if (tagName === 'body' || tagName === 'html') {
+        parts.unshift(tagName);
+        break;
+      }
+
+      const siblings = current.parentElement
+        ? Array.from(current.parentElement.children).filter(sibling => sibling.tagName === current.tagName)
+        : [];
+      const position = siblings.length > 1 ? `:nth-of-type(${siblings.indexOf(current) + 1})` : '';
+
+      parts.unshift(`${tagName}${position}`);
+      current = current.parentElement;
+    }
+
+    return parts.join(' > ');
+  }
+
+  isStableId(id) {
+    // Skip framework-generated ids such as "ember123", ":r1:" or long hex hashes
+    return Boolean(id) &&
+      /^[a-zA-Z][\w-]*$/.test(id) &&
+      !/\d{3,}/.test(id) &&
+      !/[a-f0-9]{8,}/i.test(id) &&
+      this.isUnique(`#${CSS.escape(id)}`);
+  }
+
+  isUnique(selector) {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch {
+      return false;
+    }
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.InteractionRecorder = InteractionRecorder;
+}
@@ -0,0 +1,179 @@
+class IssuetrakClient {
+  constructor(settings) {
+    this.baseUrl = (settings.baseUrl || '').trim().replace(/\/+$/, '');
+    this.apiKey = (settings.apiKey || '').trim();
+    this.projectId = settings.projectId ? Number(settings.projectId) : null;
+    this.issueTypeId = settings.issueTypeId ? Number(settings.issueTypeId) : null;
+    this.submittedBy = settings.submittedBy || '';
+
+    // Issuetrak ships with these lookup IDs; sites that renumbered them can override
+    this.priorityIds = settings.priorityIds || { immediate: 1, high: 2, medium: 3, low: 4 };
+    this.severityIds = settings.severityIds || { critical: 1, high: 2, medium: 3, low: 4 };
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl && this.apiKey);
+  }
+
+  // ticket comes from ReportModel.toTicket
+  async submitIssue(ticket, attachments = []) {
+    if (!this.isConfigured()) {
+      throw new Error('Issuetrak is not configured - add the base URL and API key in Options');
+    }
+
+    const payload = this.buildIssuePayload(ticket);
+    const data = await this.request('POST', '/api/v1/issues', payload);
+    const issueNumber = this.extractIssueNumber(data);
+
+    if (!issueNumber) {
+      throw new Error('Issuetrak did not return an issue number');
+    }
+
+    // The issue already exists at this point, so attachment failures are reported rather than thrown
+    const attachmentErrors = [];
+    for (const attachment of attachments) {
+      try {
+        await this.uploadAttachment(issueNumber, attachment.fileName, attachment.dataUrl);
+      } catch (error) {
+        attachmentErrors.push(`${attachment.fileName}: ${error.message}`);
+      }
+    }
+
+    return {
+      issueNumber,
+      url: this.getIssueUrl(issueNumber),
+      attachmentErrors
+    };
+  }
+
+  async uploadAttachment(issueNumber, fileName, dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const mimeType = (header.match(/^data:([^;]+)/) || [])[1] || 'application/octet-stream';
+
+    return this.request('POST', '/api/v1/attachments', {
+      IssueNumber: issueNumber,
+      FileName: fileName,
+      ContentType: mimeType,
+      FileContent: base64
+    });
+  }
+
+  buildIssuePayload(ticket) {
+    const summary = ticket.title || 'Bug report';
+    const category = ticket.category ? String(ticket.category).trim() : '';
+    const subject = category ? `[${category}] ${summary}` : summary;
+
+    const payload = {
+      Subject: subject.length > 250 ? `${subject.slice(0, 247)}...` : subject,
+      Description: ticket.description,
+      IsDescriptionRichText: false,
+      PriorityID: this.mapPriority(ticket.priority),
+      SeverityID: this.mapSeverity(ticket.severity)
+    };
+
+    if (this.projectId) {
+      payload.ProjectID = this.projectId;
+    }
+
+    if (this.issueTypeId) {
+      payload.IssueTypeID = this.issueTypeId;
+    }
+
+    if (this.submittedBy) {
+      payload.SubmittedBy = this.submittedBy;
+      payload.EnteredBy = this.submittedBy;
+    }
+
+    return payload;
+  }
+
+  mapPriority(priority) {
+    const value = String(priority || '').toLowerCase();
+    if (value.includes('immediate') || value.includes('critical')) return this.priorityIds.immediate;
+    if (value.includes('high')) return this.priorityIds.high;
+    if (value.includes('low')) return this.priorityIds.low;
+    return this.priorityIds.medium;
+  }
+
+  mapSeverity(severity) {
+    const value = String(severity || '').toLowerCase();
+    if (value.includes('critical')) return this.severityIds.critical;
+    if (value.includes('high') || value.includes('major')) return this.severityIds.high;
+    if (value.includes('low') || value.includes('minor') || value.includes('info')) return this.severityIds.low;
+    return this.severityIds.medium;
+  }
+
+  extractIssueNumber(data) {
+    if (typeof data === 'number') return data;
+    if (typeof data === 'string' && /^\d+$/.test(data.trim())) return Number(data.trim());
+    if (data && typeof data === 'object') {
+      return data.IssueNumber || data.issueNumber || data.IssueNbr || null;
+    }
+    return null;
+  }
+
+  getIssueUrl(issueNumber) {
+    return `${this.baseUrl}/Issue_View.asp?IssueNbr=${encodeURIComponent(issueNumber)}`;
+  }
+
+  async testConnection() {
+    await this.request('GET', '/api/v1/issuetypes');
+    return true;
+  }
+
+  async request(method, path, body) {
+    const url = new URL(`${this.baseUrl}${path}`);
+    const bodyText = body ? JSON.stringify(body) : '';
+    const requestDate = new Date().toISOString();
+    const signature = await this.signRequest(method, requestDate, url, bodyText);
+
+    const response = await fetch(url.toString(), {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-IssueTrak-API-Request-Date': requestDate,
+        'X-IssueTrak-API-Authorization': signature
+      },
+      body: body ? bodyText : undefined
+    });
+
+    const responseText = await response.text();
+
+    if (!response.ok) {
+      throw new Error(`Issuetrak API error: ${response.status} ${response.statusText} - ${responseText.slice(0, 200)}`);
+    }
+
+    try {
+      return responseText ? JSON.parse(responseText) : null;
+    } catch {
+      return responseText;
+    }
+  }
+
+  // Issuetrak signs each request with HMAC-SHA512 over verb, date, path, query and body
+  async signRequest(method, requestDate, url, bodyText) {
+    const message = [
+      method.toUpperCase(),
+      requestDate,
+      url.pathname.toLowerCase(),
+      url.search.replace(/^\?/, ''),
+      bodyText
+    ].join('\n');
+
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(this.apiKey),
+      { name: 'HMAC', hash: 'SHA-512' },
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+
+    return btoa(String.fromCharCode(...new Uint8Array(signature)));
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.IssuetrakClient = IssuetrakClient;
+}
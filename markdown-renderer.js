@@ -0,0 +1,482 @@
+// Markdown to DOM for the popup, history and exports. Reports quote page titles, console messages and DOM text
+// from the inspected site, so nothing here goes through innerHTML: text only ever becomes text nodes, and links
+// are kept only for http(s) and mailto URLs.
+//
+// Supports headings, paragraphs (single newlines become line breaks, as ReportModel.toMarkdown relies on),
+// fenced and indented code blocks, nested ordered and unordered lists (including "•" bullets), GFM tables,
+// blockquotes, rules, and inline bold, italic, strikethrough, code, links and bare URLs.
+// Images are rendered as links so a report can't make the popup load remote content.
+class MarkdownRenderer {
+  static render(markdown, doc = document) {
+    const fragment = doc.createDocumentFragment();
+    MarkdownRenderer.appendBlocks(fragment, MarkdownRenderer.parse(markdown), doc);
+    return fragment;
+  }
+
+  // Serialized from the DOM, so the string is as safe as render()'s output
+  static toHTML(markdown, doc = document) {
+    const container = doc.createElement('div');
+    container.append(MarkdownRenderer.render(markdown, doc));
+    return container.innerHTML;
+  }
+
+  static parse(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return MarkdownRenderer.parseBlocks(lines);
+  }
+
+  static get patterns() {
+    return {
+      fence: /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/,
+      heading: /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/,
+      rule: /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/,
+      listItem: /^( *)([-*+•]|\d{1,9}[.)])\s+(.*)$/,
+      indentedCode: /^ {4}/,
+      blockquote: /^ {0,3}>\s?/,
+      tableDelimiter: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+    };
+  }
+
+  // Block nodes: heading { level, children }, paragraph { lines: [inline nodes] }, code { language, text },
+  // list { ordered, start, items: [{ blocks }] }, table { align, header, rows }, blockquote { blocks }, rule
+  static parseBlocks(lines) {
+    const patterns = MarkdownRenderer.patterns;
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+      const line = lines[index];
+
+      if (!line.trim()) {
+        index++;
+        continue;
+      }
+
+      const fence = line.match(patterns.fence);
+      if (fence) {
+        const indent = line.length - line.trimStart().length;
+        const closing = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+        const codeLines = [];
+        index++;
+        while (index < lines.length && !closing.test(lines[index])) {
+          codeLines.push(lines[index].replace(new RegExp(`^ {0,${indent}}`), ''));
+          index++;
+        }
+        index++;
+        blocks.push({ type: 'code', language: fence[2] || null, text: codeLines.join('\n') });
+        continue;
+      }
+
+      const heading = line.match(patterns.heading);
+      if (heading) {
+        blocks.push({ type: 'heading', level: heading[1].length, children: MarkdownRenderer.parseInline(heading[2]) });
+        index++;
+        continue;
+      }
+
+      if (patterns.rule.test(line)) {
+        blocks.push({ type: 'rule' });
+        index++;
+        continue;
+      }
+
+      if (MarkdownRenderer.isTableStart(lines, index)) {
+        const table = MarkdownRenderer.parseTable(lines, index);
+        blocks.push(table.block);
+        index = table.next;
+        continue;
+      }
+
+      if (patterns.listItem.test(line)) {
+        const list = MarkdownRenderer.parseList(lines, index);
+        blocks.push(list.block);
+        index = list.next;
+        continue;
+      }
+
+      if (patterns.indentedCode.test(line)) {
+        const codeLines = [];
+        while (index < lines.length && (patterns.indentedCode.test(lines[index]) || !lines[index].trim())) {
+          codeLines.push(lines[index].slice(4));
+          index++;
+        }
+        while (codeLines.length > 0 && !codeLines[codeLines.length - 1].trim()) {
+          codeLines.pop();
+        }
+        blocks.push({ type: 'code', language: null, text: codeLines.join('\n') });
+        continue;
+      }
+
+      if (patterns.blockquote.test(line)) {
+        const quoteLines = [];
+        while (index < lines.length && patterns.blockquote.test(lines[index])) {
+          quoteLines.push(lines[index].replace(patterns.blockquote, ''));
+          index++;
+        }
+        blocks.push({ type: 'blockquote', blocks: MarkdownRenderer.parseBlocks(quoteLines) });
+        continue;
+      }
+
+      // Unlike CommonMark, any block can interrupt a paragraph: reports put code and lists right under a label line
+      const paragraphLines = [];
+      while (index < lines.length && lines[index].trim() && (paragraphLines.length === 0 || !MarkdownRenderer.startsBlock(lines, index))) {
+        paragraphLines.push(lines[index].trim());
+        index++;
+      }
+      blocks.push({ type: 'paragraph', lines: paragraphLines.map(text => MarkdownRenderer.parseInline(text)) });
+    }
+
+    return blocks;
+  }
+
+  static startsBlock(lines, index) {
+    const patterns = MarkdownRenderer.patterns;
+    const line = lines[index];
+    return patterns.fence.test(line) || patterns.heading.test(line) || patterns.rule.test(line) ||
+      patterns.listItem.test(line) || patterns.indentedCode.test(line) || patterns.blockquote.test(line) ||
+      MarkdownRenderer.isTableStart(lines, index);
+  }
+
+  static getIndent(line) {
+    return line.length - line.trimStart().length;
+  }
+
+  // Items continue on lines indented past the marker; a deeper marker inside an item starts a nested list
+  static parseList(lines, start) {
+    const patterns = MarkdownRenderer.patterns;
+    const first = lines[start].match(patterns.listItem);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const isSibling = match => match && match[1].length === baseIndent && /\d/.test(match[2]) === ordered;
+    const items = [];
+    let index = start;
+
+    while (index < lines.length) {
+      const match = lines[index].match(patterns.listItem);
+      if (!isSibling(match)) break;
+
+      const contentIndent = baseIndent + match[2].length + 1;
+      const itemLines = [match[3]];
+      index++;
+
+      while (index < lines.length) {
+        const line = lines[index];
+        if (!line.trim()) {
+          let next = index + 1;
+          while (next < lines.length && !lines[next].trim()) next++;
+          if (next < lines.length && MarkdownRenderer.getIndent(lines[next]) > baseIndent) {
+            itemLines.push('');
+            index++;
+            continue;
+          }
+          break;
+        }
+
+        if (MarkdownRenderer.getIndent(line) <= baseIndent) break;
+        itemLines.push(line.slice(Math.min(MarkdownRenderer.getIndent(line), contentIndent)));
+        index++;
+      }
+
+      items.push({ blocks: MarkdownRenderer.parseBlocks(itemLines) });
+
+      // Blank lines between items keep the list going
+      let next = index;
+      while (next < lines.length && !lines[next].trim()) next++;
+      if (next < lines.length && isSibling(lines[next].match(patterns.listItem))) {
+        index = next;
+      }
+    }
+
+    return {
+      block: { type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : null, items },
+      next: index
+    };
+  }
+
+  static isTableStart(lines, index) {
+    return lines[index].includes('|') && index + 1 < lines.length &&
+      lines[index + 1].includes('-') && MarkdownRenderer.patterns.tableDelimiter.test(lines[index + 1]);
+  }
+
+  static splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+  }
+
+  static parseTable(lines, start) {
+    const header = MarkdownRenderer.splitTableRow(lines[start]);
+    const align = MarkdownRenderer.splitTableRow(lines[start + 1]).map(cell => {
+      if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+      if (cell.endsWith(':')) return 'right';
+      if (cell.startsWith(':')) return 'left';
+      return null;
+    });
+    const rows = [];
+    let index = start + 2;
+
+    while (index < lines.length && lines[index].trim() && lines[index].includes('|')) {
+      const cells = MarkdownRenderer.splitTableRow(lines[index]);
+      rows.push(header.map((cell, column) => MarkdownRenderer.parseInline(cells[column] || '')));
+      index++;
+    }
+
+    return {
+      block: { type: 'table', align, header: header.map(cell => MarkdownRenderer.parseInline(cell)), rows },
+      next: index
+    };
+  }
+
+  // Longer text is shown as it is: a line this long is a dump (minified source, a serialized payload), not prose
+  static get maxInlineLength() {
+    return 20000;
+  }
+
+  // Inline nodes: text { text }, strong / em / del { children }, code { text }, link { href, children }.
+  // Rules are tried only at characters that can start them and return { length, node } or null. Spans that can run
+  // to the end of the line (code, strong, strikethrough) find their closer with indexOf and remember delimiters that
+  // have no closer left, so a line full of unmatched "**" or backticks is still scanned once, not once per opener.
+  static parseInline(text) {
+    if (text.length > MarkdownRenderer.maxInlineLength) {
+      return [{ type: 'text', text }];
+    }
+
+    const unclosedFrom = new Map();
+    const sticky = (pattern, toNode) => (index) => {
+      pattern.lastIndex = index;
+      const match = pattern.exec(text);
+      return match ? { length: match[0].length, node: toNode(match) } : null;
+    };
+    const delimited = (delimiter, type) => (index) => {
+      const from = index + delimiter.length;
+      if (!text[from] || /\s/.test(text[from])) return null;
+      const close = MarkdownRenderer.findCloser(text, delimiter, from, unclosedFrom,
+        position => position > from && /\S/.test(text[position - 1]));
+      return close === -1 ? null : {
+        length: close + delimiter.length - index,
+        node: { type, children: MarkdownRenderer.parseInline(text.slice(from, close)) }
+      };
+    };
+    // An unmatched backtick run is literal text as a whole, so its shorter tails aren't tried as openers
+    const codeSpan = (index) => {
+      let from = index;
+      while (text[from] === '`') from++;
+      const ticks = text.slice(index, from);
+      const close = MarkdownRenderer.findCloser(text, ticks, from, unclosedFrom,
+        position => position > from && text[position - 1] !== '`' && text[position + ticks.length] !== '`');
+      if (close === -1) {
+        return { length: ticks.length, node: { type: 'text', text: ticks } };
+      }
+      const code = text.slice(from, close);
+      return { length: close + ticks.length - index, node: { type: 'code', text: code.trim() || code } };
+    };
+
+    // A label runs to the first unescaped "]" whichever "[" it opens at, so when that "]" isn't followed by a URL
+    // every "[" before it fails the same way
+    let linksFailBefore = 0;
+    const linkLabel = /!?\[(?:\\.|[^\]\\])*/y;
+    const linkSpan = sticky(/!?\[((?:\\.|[^\]\\])*)\]\(\s*<?([^\s()<>]+)>?(?:\s+"[^"]*")?\s*\)/y, match => MarkdownRenderer.createLink(match[2], match[1]));
+    const link = (index) => {
+      if (index < linksFailBefore) return null;
+      const matched = linkSpan(index);
+      if (!matched) {
+        linkLabel.lastIndex = index;
+        const label = linkLabel.exec(text);
+        if (label) linksFailBefore = index + label[0].length;
+      }
+      return matched;
+    };
+
+    const rules = [
+      { start: '\\', match: sticky(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/y, match => ({ type: 'text', text: match[1] })) },
+      { start: '`', match: codeSpan },
+      { start: '![', match: link },
+      { start: '<', match: sticky(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/y, match => MarkdownRenderer.createLink(match[1])) },
+      { start: 'h', wordStart: true, match: sticky(/https?:\/\/[^\s<>]*[^\s<>.,:;"')\]!?*_~]/y, match => MarkdownRenderer.createLink(match[0])) },
+      { start: '*', match: index => text.startsWith('**', index) ? delimited('**', 'strong')(index) : null },
+      { start: '_', wordStart: true, match: index => text.startsWith('__', index) ? delimited('__', 'strong')(index) : null },
+      { start: '*', match: sticky(/\*(?![\s*])([^*]*?[^\s*])\*(?!\*)/y, match => ({ type: 'em', children: MarkdownRenderer.parseInline(match[1]) })) },
+      { start: '_', wordStart: true, match: sticky(/_(?![\s_])([^_]*?[^\s_])_(?![A-Za-z0-9_])/y, match => ({ type: 'em', children: MarkdownRenderer.parseInline(match[1]) })) },
+      { start: '~', match: index => text.startsWith('~~', index) ? delimited('~~', 'del')(index) : null }
+    ];
+    const nodes = [];
+    let buffer = '';
+    let index = 0;
+
+    while (index < text.length) {
+      const character = text[index];
+      // "_" and URLs only open at a word boundary, so snake_case names and mid-word text stay as they are
+      const atWordStart = index === 0 || !/[A-Za-z0-9]/.test(text[index - 1]);
+      let matched = null;
+
+      for (const rule of rules) {
+        if (!rule.start.includes(character) || (rule.wordStart && !atWordStart)) continue;
+        matched = rule.match(index);
+        if (matched) break;
+      }
+
+      if (!matched) {
+        buffer += character;
+        index++;
+        continue;
+      }
+
+      if (matched.node.type === 'text') {
+        buffer += matched.node.text;
+      } else {
+        if (buffer) nodes.push({ type: 'text', text: buffer });
+        buffer = '';
+        nodes.push(matched.node);
+      }
+      index += matched.length;
+    }
+
+    if (buffer) nodes.push({ type: 'text', text: buffer });
+    return nodes;
+  }
+
+  // First position at or after from where delimiter occurs and isValid accepts it, or -1. Validity only looks at the
+  // characters around the closer, so once a search from some position fails, every search from further on fails too.
+  static findCloser(text, delimiter, from, unclosedFrom, isValid) {
+    if (unclosedFrom.has(delimiter) && unclosedFrom.get(delimiter) <= from) return -1;
+
+    let position = text.indexOf(delimiter, from);
+    while (position !== -1 && !isValid(position)) {
+      position = text.indexOf(delimiter, position + 1);
+    }
+    if (position === -1) {
+      unclosedFrom.set(delimiter, from);
+    }
+    return position;
+  }
+
+  // Unsafe schemes (javascript:, data:, extension URLs) fall back to plain text
+  static createLink(href, label = null) {
+    const children = label === null ? [{ type: 'text', text: href }] : MarkdownRenderer.parseInline(label || href);
+    return MarkdownRenderer.isSafeUrl(href) ? { type: 'link', href, children } : { type: 'span', children };
+  }
+
+  static isSafeUrl(href) {
+    return /^(https?:\/\/|mailto:)/i.test(href);
+  }
+
+  static appendBlocks(parent, blocks, doc) {
+    blocks.forEach(block => {
+      switch (block.type) {
+        case 'heading': {
+          const heading = doc.createElement(`h${block.level}`);
+          MarkdownRenderer.appendInline(heading, block.children, doc);
+          parent.appendChild(heading);
+          break;
+        }
+        case 'paragraph': {
+          const paragraph = doc.createElement('p');
+          MarkdownRenderer.appendLines(paragraph, block.lines, doc);
+          parent.appendChild(paragraph);
+          break;
+        }
+        case 'code': {
+          const pre = doc.createElement('pre');
+          const code = doc.createElement('code');
+          if (block.language) {
+            code.className = `language-${block.language}`;
+          }
+          code.textContent = block.text;
+          pre.appendChild(code);
+          parent.appendChild(pre);
+          break;
+        }
+        case 'list': {
+          const list = doc.createElement(block.ordered ? 'ol' : 'ul');
+          if (block.ordered && block.start !== 1) {
+            list.start = block.start;
+          }
+          block.items.forEach(item => {
+            const listItem = doc.createElement('li');
+            // Tight items hold their text directly rather than in a paragraph
+            if (item.blocks.length > 0 && item.blocks[0].type === 'paragraph') {
+              MarkdownRenderer.appendLines(listItem, item.blocks[0].lines, doc);
+              MarkdownRenderer.appendBlocks(listItem, item.blocks.slice(1), doc);
+            } else {
+              MarkdownRenderer.appendBlocks(listItem, item.blocks, doc);
+            }
+            list.appendChild(listItem);
+          });
+          parent.appendChild(list);
+          break;
+        }
+        case 'table': {
+          const table = doc.createElement('table');
+          const head = doc.createElement('thead');
+          const body = doc.createElement('tbody');
+          head.appendChild(MarkdownRenderer.createTableRow('th', block.header, block.align, doc));
+          block.rows.forEach(row => body.appendChild(MarkdownRenderer.createTableRow('td', row, block.align, doc)));
+          table.append(head, body);
+          parent.appendChild(table);
+          break;
+        }
+        case 'blockquote': {
+          const quote = doc.createElement('blockquote');
+          MarkdownRenderer.appendBlocks(quote, block.blocks, doc);
+          parent.appendChild(quote);
+          break;
+        }
+        case 'rule':
+          parent.appendChild(doc.createElement('hr'));
+          break;
+      }
+    });
+  }
+
+  static appendLines(parent, lines, doc) {
+    lines.forEach((line, index) => {
+      if (index > 0) parent.appendChild(doc.createElement('br'));
+      MarkdownRenderer.appendInline(parent, line, doc);
+    });
+  }
+
+  static createTableRow(cellTag, cells, align, doc) {
+    const row = doc.createElement('tr');
+    cells.forEach((cell, column) => {
+      const element = doc.createElement(cellTag);
+      if (align[column]) {
+        element.style.textAlign = align[column];
+      }
+      MarkdownRenderer.appendInline(element, cell, doc);
+      row.appendChild(element);
+    });
+    return row;
+  }
+
+  static appendInline(parent, nodes, doc) {
+    nodes.forEach(node => {
+      switch (node.type) {
+        case 'text':
+          parent.appendChild(doc.createTextNode(node.text));
+          break;
+        case 'code': {
+          const code = doc.createElement('code');
+          code.textContent = node.text;
+          parent.appendChild(code);
+          break;
+        }
+        case 'link': {
+          const link = doc.createElement('a');
+          link.href = node.href;
+          link.target = '_blank';
+          link.rel = 'noopener noreferrer';
+          MarkdownRenderer.appendInline(link, node.children, doc);
+          parent.appendChild(link);
+          break;
+        }
+        default: {
+          const element = doc.createElement(node.type);
+          MarkdownRenderer.appendInline(element, node.children, doc);
+          parent.appendChild(element);
+        }
+      }
+    });
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.MarkdownRenderer = MarkdownRenderer;
+}
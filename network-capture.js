@@ -0,0 +1,234 @@
+// Runs in the page's MAIN world, where the page's own fetch and XMLHttpRequest live; wrappers installed from a
+// content script's isolated world would never see them. Injected by the popup for each analysis, and at
+// document_start alongside early-capture.js when page-load capture is on.
+//
+// No extension APIs are available here, so entries go to network-recorder.js as DOM events on document:
+//   'bugreporter:network-configure' (in, detail: JSON { captureHeaders, captureBodies, maxBodySize }) - applies the
+//     options and replays every buffered entry
+//   'bugreporter:network-entries' (out, detail: JSON [entry]) - entries in NetworkRecorder's format; an entry is sent
+//     again under the same id once its response body has been read
+// Details are JSON strings because objects don't cross between worlds.
+(function() {
+  if (window.__bugReporterNetworkCapture) return;
+
+  const MAX_ENTRIES = 300;
+  // Bodies of other types (images, fonts, downloads) are never read
+  const TEXT_MIME_TYPES = /^\s*(text\/|application\/(json|xml|javascript|ecmascript|graphql|x-www-form-urlencoded|[\w.-]+\+(json|xml))\b)/i;
+  const options = { captureHeaders: false, captureBodies: false, maxBodySize: 64 * 1024 };
+  const buffer = { dropped: 0, entries: [] };
+  let nextId = 1;
+
+  Object.defineProperty(window, '__bugReporterNetworkCapture', {
+    value: buffer,
+    enumerable: false
+  });
+
+  function emit(entries) {
+    document.dispatchEvent(new CustomEvent('bugreporter:network-entries', { detail: JSON.stringify(entries) }));
+  }
+
+  function truncateBody(text) {
+    if (text === null || text === undefined) return null;
+    return text.length > options.maxBodySize ? `${text.slice(0, options.maxBodySize)}… [truncated]` : text;
+  }
+
+  function isTextType(mimeType) {
+    return TEXT_MIME_TYPES.test(mimeType || '');
+  }
+
+  // Reads a clone so the page still gets an unread body. Unless Content-Length says the body fits, the clone is
+  // streamed and cancelled at maxBodySize, so a large response is never buffered whole.
+  async function readResponseBody(response) {
+    const declaredSize = Number(response.headers.get('content-length'));
+    if (declaredSize > 0 && declaredSize <= options.maxBodySize) {
+      const text = await response.clone().text();
+      return { text: truncateBody(text), size: text.length };
+    }
+
+    const body = response.clone().body;
+    if (!body) return { text: '', size: 0 };
+
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    let bytes = 0;
+    while (bytes < options.maxBodySize) {
+      const { done, value } = await reader.read();
+      if (done) {
+        text += decoder.decode();
+        return { text: truncateBody(text), size: bytes };
+      }
+      bytes += value.byteLength;
+      text += decoder.decode(value, { stream: true });
+    }
+    reader.cancel().catch(() => {});
+    return { text: `${text.slice(0, options.maxBodySize)}… [truncated]`, size: -1 };
+  }
+
+  function headersToList(headers) {
+    const list = [];
+    headers.forEach((value, name) => list.push({ name, value }));
+    return list;
+  }
+
+  function parseRawHeaders(raw) {
+    return (raw || '').trim().split(/[\r\n]+/).filter(Boolean).map(line => {
+      const index = line.indexOf(':');
+      return { name: line.slice(0, index).trim(), value: line.slice(index + 1).trim() };
+    });
+  }
+
+  function createEntry(type, method, url) {
+    let absoluteUrl = url;
+    try {
+      absoluteUrl = new URL(url, window.location.href).toString();
+    } catch {
+      // Keep the raw value for unparseable URLs
+    }
+
+    return {
+      id: nextId++,
+      type,
+      method,
+      url: absoluteUrl,
+      status: null,
+      statusText: '',
+      startedDateTime: new Date().toISOString(),
+      startTime: performance.now(),
+      duration: null,
+      mimeType: '',
+      size: -1,
+      requestHeaders: [],
+      responseHeaders: [],
+      requestBody: null,
+      responseBody: null,
+      error: null
+    };
+  }
+
+  function completeEntry(entry, result) {
+    Object.assign(entry, result);
+    entry.duration = performance.now() - entry.startTime;
+
+    if (buffer.entries.length >= MAX_ENTRIES) {
+      buffer.entries.shift();
+      buffer.dropped++;
+    }
+    buffer.entries.push(entry);
+
+    try {
+      emit([entry]);
+    } catch {
+      // Never let capture break the page's request
+    }
+  }
+
+  document.addEventListener('bugreporter:network-configure', (event) => {
+    try {
+      Object.assign(options, JSON.parse(event.detail));
+      emit(buffer.entries);
+    } catch {
+      // Ignore malformed configuration
+    }
+  });
+
+  const originalFetch = window.fetch;
+  window.fetch = async function(input, init = {}) {
+    const request = input instanceof Request ? input : null;
+    const entry = createEntry(
+      'fetch',
+      ((init && init.method) || (request && request.method) || 'GET').toUpperCase(),
+      request ? request.url : String(input)
+    );
+
+    try {
+      if (options.captureHeaders) {
+        entry.requestHeaders = headersToList(new Headers((init && init.headers) || (request && request.headers) || {}));
+      }
+      if (options.captureBodies && init && typeof init.body === 'string') {
+        entry.requestBody = truncateBody(init.body);
+      }
+    } catch {
+      // Malformed headers are the page's problem to report, not ours
+    }
+
+    let response;
+    try {
+      response = await originalFetch.apply(this, arguments);
+    } catch (error) {
+      completeEntry(entry, { status: 0, statusText: '', error: error && error.message ? error.message : String(error) });
+      throw error;
+    }
+
+    const result = {
+      status: response.status,
+      statusText: response.statusText,
+      mimeType: response.headers.get('content-type') || '',
+      size: Number(response.headers.get('content-length')) || -1,
+      responseHeaders: options.captureHeaders ? headersToList(response.headers) : []
+    };
+
+    completeEntry(entry, result);
+
+    if (options.captureBodies && isTextType(result.mimeType)) {
+      // Streamed responses may never finish, so the entry above is already recorded without the body
+      readResponseBody(response).then(({ text, size }) => {
+        entry.responseBody = text;
+        if (entry.size < 0) entry.size = size;
+        emit([entry]);
+      }).catch(() => {});
+    }
+
+    return response;
+  };
+
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+  const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+  const pending = new WeakMap();
+
+  XMLHttpRequest.prototype.open = function(method, url) {
+    pending.set(this, createEntry('xhr', String(method || 'GET').toUpperCase(), String(url)));
+    return originalOpen.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+    const entry = pending.get(this);
+    if (entry && options.captureHeaders) {
+      entry.requestHeaders.push({ name, value: String(value) });
+    }
+    return originalSetRequestHeader.apply(this, arguments);
+  };
+
+  XMLHttpRequest.prototype.send = function(body) {
+    const entry = pending.get(this);
+
+    if (entry) {
+      entry.startTime = performance.now();
+      entry.startedDateTime = new Date().toISOString();
+
+      if (options.captureBodies && typeof body === 'string') {
+        entry.requestBody = truncateBody(body);
+      }
+
+      this.addEventListener('loadend', () => {
+        const responseText = options.captureBodies && (this.responseType === '' || this.responseType === 'text') &&
+          isTextType(this.getResponseHeader('content-type'))
+          ? this.responseText
+          : null;
+
+        completeEntry(entry, {
+          status: this.status,
+          statusText: this.statusText,
+          mimeType: this.getResponseHeader('content-type') || '',
+          size: responseText !== null ? responseText.length : Number(this.getResponseHeader('content-length')) || -1,
+          responseHeaders: options.captureHeaders ? parseRawHeaders(this.getAllResponseHeaders()) : [],
+          responseBody: responseText !== null ? truncateBody(responseText) : null,
+          error: this.status === 0 ? 'Request failed or was aborted' : null
+        });
+      });
+    }
+
+    return originalSend.apply(this, arguments);
+  };
+})();
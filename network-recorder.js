@@ -0,0 +1,276 @@
+class NetworkRecorder {
+  constructor(options = {}) {
+    this.captureHeaders = Boolean(options.captureHeaders);
+    this.captureBodies = Boolean(options.captureBodies);
+    this.maxBodySize = options.maxBodySize || 64 * 1024;
+    this.maxEntries = options.maxEntries || 500;
+    this.onEntry = options.onEntry || null;
+    this.entries = [];
+    this.isRecording = false;
+    this.startedAt = null;
+    this.handleEntries = this.handleEntries.bind(this);
+
+    this.sensitiveHeaders = [
+      'authorization', 'proxy-authorization', 'cookie', 'set-cookie',
+      'x-api-key', 'x-auth-token', 'x-csrf-token', 'x-xsrf-token'
+    ];
+    this.sensitiveParams = /^(key|api_?key|token|access_token|id_token|refresh_token|auth|password|pwd|secret|client_secret|sig|signature|session|sessionid|sid)$/i;
+  }
+
+  // fetch and XMLHttpRequest are wrapped by network-capture.js in the page's MAIN world - wrappers installed here, in
+  // the content script's isolated world, would only see the extension's own requests. Configuring the capture
+  // replays everything it has buffered since it was installed.
+  start() {
+    if (this.isRecording) return;
+    this.isRecording = true;
+    this.startedAt = new Date().toISOString();
+
+    document.addEventListener('bugreporter:network-entries', this.handleEntries);
+    document.dispatchEvent(new CustomEvent('bugreporter:network-configure', {
+      detail: JSON.stringify({
+        captureHeaders: this.captureHeaders,
+        captureBodies: this.captureBodies,
+        maxBodySize: this.maxBodySize
+      })
+    }));
+  }
+
+  stop() {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+
+    document.removeEventListener('bugreporter:network-entries', this.handleEntries);
+  }
+
+  handleEntries(event) {
+    let entries;
+    try {
+      entries = JSON.parse(event.detail);
+    } catch {
+      return;
+    }
+    if (Array.isArray(entries)) {
+      entries.forEach(entry => this.addEntry(entry));
+    }
+  }
+
+  // Entries come back under the same id when replayed or once their body has been read
+  addEntry(entry) {
+    const existing = entry.id !== undefined ? this.entries.find(recorded => recorded.id === entry.id) : null;
+    if (existing) {
+      Object.assign(existing, entry);
+      return;
+    }
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+
+    if (this.onEntry) {
+      try {
+        this.onEntry(entry);
+      } catch (error) {
+        // A failing listener must not stop recording
+      }
+    }
+  }
+
+  redactHeaders(headers) {
+    return headers.map(header => this.sensitiveHeaders.includes(header.name.toLowerCase())
+      ? { name: header.name, value: '[REDACTED]' }
+      : header);
+  }
+
+  redactUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.searchParams.forEach((value, name) => {
+        if (this.sensitiveParams.test(name)) {
+          parsed.searchParams.set(name, 'REDACTED');
+        }
+      });
+      return parsed.toString();
+    } catch {
+      return url;
+    }
+  }
+
+  redactBody(text) {
+    if (!text) return text;
+
+    try {
+      const data = JSON.parse(text);
+      const scrub = (value) => {
+        if (Array.isArray(value)) return value.map(scrub);
+        if (value && typeof value === 'object') {
+          return Object.fromEntries(Object.entries(value).map(([key, nested]) => [
+            key,
+            this.sensitiveParams.test(key) ? '[REDACTED]' : scrub(nested)
+          ]));
+        }
+        return value;
+      };
+      return JSON.stringify(scrub(data));
+    } catch {
+      return text.replace(/((?:password|token|secret|api_?key)=)[^&\s]+/gi, '$1REDACTED');
+    }
+  }
+
+  // Resource Timing fills in what the wrappers missed - requests made before network-capture.js was installed,
+  // and subresources such as scripts and images - without headers or bodies
+  getAllEntries() {
+    const recorded = this.entries.slice();
+    const resourceEntries = performance.getEntriesByType('resource');
+    const unmatched = [];
+
+    for (const resource of resourceEntries) {
+      const match = recorded.find(entry => !entry.timing &&
+        entry.url === resource.name &&
+        Math.abs(entry.startTime - resource.startTime) < 50);
+
+      if (match) {
+        match.timing = this.getResourceTimings(resource);
+        if (match.size < 0 && resource.transferSize) match.size = resource.transferSize;
+      } else {
+        unmatched.push({
+          type: resource.initiatorType || 'other',
+          method: 'GET',
+          url: resource.name,
+          status: resource.responseStatus || 0,
+          statusText: '',
+          startedDateTime: new Date(performance.timeOrigin + resource.startTime).toISOString(),
+          startTime: resource.startTime,
+          duration: resource.duration,
+          mimeType: '',
+          size: resource.transferSize || resource.encodedBodySize || -1,
+          requestHeaders: [],
+          responseHeaders: [],
+          requestBody: null,
+          responseBody: null,
+          error: null,
+          timing: this.getResourceTimings(resource)
+        });
+      }
+    }
+
+    return [...recorded, ...unmatched].sort((a, b) => a.startTime - b.startTime);
+  }
+
+  getResourceTimings(resource) {
+    const span = (start, end) => (start > 0 && end >= start ? end - start : -1);
+
+    return {
+      blocked: span(resource.startTime, resource.domainLookupStart || resource.fetchStart),
+      dns: span(resource.domainLookupStart, resource.domainLookupEnd),
+      connect: span(resource.connectStart, resource.connectEnd),
+      ssl: span(resource.secureConnectionStart, resource.connectEnd),
+      send: 0,
+      wait: span(resource.requestStart, resource.responseStart),
+      receive: span(resource.responseStart, resource.responseEnd)
+    };
+  }
+
+  getSummary() {
+    const entries = this.getAllEntries();
+    return {
+      totalRequests: entries.length,
+      failedRequests: entries.filter(entry => entry.error || entry.status >= 400).length,
+      slowRequests: entries.filter(entry => entry.duration > 5000).length,
+      totalSize: entries.reduce((sum, entry) => sum + Math.max(0, entry.size), 0)
+    };
+  }
+
+  toHAR() {
+    const navigation = performance.getEntriesByType('navigation')[0];
+    const pageStarted = new Date(performance.timeOrigin).toISOString();
+    const creatorVersion = typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getManifest
+      ? chrome.runtime.getManifest().version
+      : 'unknown';
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'IssuetrakQAI', version: creatorVersion },
+        pages: [{
+          startedDateTime: pageStarted,
+          id: 'page_1',
+          title: document.title || window.location.href,
+          pageTimings: {
+            onContentLoad: navigation ? navigation.domContentLoadedEventEnd : -1,
+            onLoad: navigation ? navigation.loadEventEnd : -1
+          }
+        }],
+        entries: this.getAllEntries().map(entry => this.toHAREntry(entry))
+      }
+    };
+  }
+
+  toHAREntry(entry) {
+    const url = this.redactUrl(entry.url);
+    let queryString = [];
+    try {
+      queryString = Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+    } catch {
+      // Non-HTTP URLs have no query string
+    }
+
+    const timings = entry.timing || { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.max(0, entry.duration || 0), receive: 0 };
+    const requestHeaders = this.redactHeaders(entry.requestHeaders);
+    const requestContentType = (requestHeaders.find(header => header.name.toLowerCase() === 'content-type') || {}).value;
+
+    const harEntry = {
+      pageref: 'page_1',
+      startedDateTime: entry.startedDateTime,
+      time: Math.max(0, entry.duration || 0),
+      request: {
+        method: entry.method,
+        url,
+        httpVersion: '',
+        cookies: [],
+        headers: requestHeaders,
+        queryString,
+        headersSize: -1,
+        bodySize: entry.requestBody ? entry.requestBody.length : 0
+      },
+      response: {
+        status: entry.status || 0,
+        statusText: entry.statusText || '',
+        httpVersion: '',
+        cookies: [],
+        headers: this.redactHeaders(entry.responseHeaders),
+        content: {
+          size: entry.size,
+          mimeType: entry.mimeType || ''
+        },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: entry.size
+      },
+      cache: {},
+      timings,
+      _resourceType: entry.type
+    };
+
+    if (entry.requestBody) {
+      harEntry.request.postData = {
+        mimeType: requestContentType || '',
+        text: this.redactBody(entry.requestBody)
+      };
+    }
+
+    if (entry.responseBody) {
+      harEntry.response.content.text = this.redactBody(entry.responseBody);
+    }
+
+    if (entry.error) {
+      harEntry._error = entry.error;
+    }
+
+    return harEntry;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.NetworkRecorder = NetworkRecorder;
+}
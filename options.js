@@ -1,26 +1,133 @@
 document.addEventListener('DOMContentLoaded', loadSettings);
 document.getElementById('saveBtn').addEventListener('click', saveSettings);
-document.querySelectorAll('input[name="aiMode"]').forEach(radio => {
+document.getElementById('testTrackerBtn').addEventListener('click', testTrackerConnection);
+document.getElementById('testWebhookBtn').addEventListener('click', sendTestWebhook);
+document.getElementById('testAiProviderBtn').addEventListener('click', testAiProvider);
+document.getElementById('exportAuditLogBtn').addEventListener('click', exportAuditLog);
+document.getElementById('clearAuditLogBtn').addEventListener('click', clearAuditLog);
+document.querySelectorAll('input[name="aiMode"], input[name="trackerType"]').forEach(radio => {
   radio.addEventListener('change', toggleConfigSections);
 });
+document.querySelectorAll('.load-models-btn').forEach(button => {
+  button.addEventListener('click', () => loadAvailableModels(button.dataset.provider));
+});
+document.querySelectorAll('.add-fallback-btn').forEach(button => {
+  button.addEventListener('click', () => addFallbackModel(button.dataset.provider));
+});
+document.getElementById('redactionEnabled').addEventListener('change', toggleConfigSections);
+renderRedactionDetectors();
+['gemini', 'openai', 'custom'].forEach(providerId => {
+  document.getElementById(`${providerId}Model`).addEventListener('input', () => renderModelList(providerId));
+});
+
+// Storage key -> form field for every AI provider setting
+const AI_PROVIDER_FIELDS = {
+  geminiApiKey: 'geminiKey',
+  geminiModel: 'geminiModel',
+  geminiTemperature: 'geminiTemperature',
+  geminiMaxTokens: 'geminiMaxTokens',
+  openaiBaseUrl: 'openaiBaseUrl',
+  openaiApiKey: 'openaiApiKey',
+  openaiModel: 'openaiModel',
+  openaiTemperature: 'openaiTemperature',
+  openaiMaxTokens: 'openaiMaxTokens',
+  customEndpointUrl: 'customEndpointUrl',
+  customApiKey: 'customApiKey',
+  customModel: 'customModel',
+  customTemperature: 'customTemperature',
+  customMaxTokens: 'customMaxTokens'
+};
+
+// Storage key -> form field for every tracker connection setting
+const TRACKER_FIELDS = {
+  issuetrakBaseUrl: 'issuetrakBaseUrl',
+  issuetrakApiKey: 'issuetrakApiKey',
+  issuetrakProjectId: 'issuetrakProjectId',
+  issuetrakIssueTypeId: 'issuetrakIssueTypeId',
+  issuetrakSubmittedBy: 'issuetrakSubmittedBy',
+  githubApiUrl: 'githubApiUrl',
+  githubToken: 'githubToken',
+  githubRepository: 'githubRepository',
+  githubAttachmentBranch: 'githubAttachmentBranch',
+  gitlabBaseUrl: 'gitlabBaseUrl',
+  gitlabToken: 'gitlabToken',
+  gitlabProject: 'gitlabProject',
+  jiraBaseUrl: 'jiraBaseUrl',
+  jiraEmail: 'jiraEmail',
+  jiraToken: 'jiraToken',
+  jiraProjectKey: 'jiraProjectKey',
+  jiraIssueType: 'jiraIssueType',
+  azureDevOpsOrganizationUrl: 'azureDevOpsOrganizationUrl',
+  azureDevOpsProject: 'azureDevOpsProject',
+  azureDevOpsToken: 'azureDevOpsToken',
+  azureDevOpsWorkItemType: 'azureDevOpsWorkItemType'
+};
+
+// Tracker id -> storage key of its field mapping; the textarea is #<tracker id>FieldMapping
+const TRACKER_FIELD_MAPPINGS = {
+  issuetrak: 'issuetrakFieldMapping',
+  github: 'githubFieldMapping',
+  gitlab: 'gitlabFieldMapping',
+  jira: 'jiraFieldMapping',
+  azuredevops: 'azureDevOpsFieldMapping'
+};
+
+// Fallback lists being edited per provider; saved with the rest of the form
+const fallbackModels = { gemini: [], openai: [], custom: [] };
+let modelStatus = {};
 
 async function loadSettings() {
   try {
     const settings = await chrome.storage.sync.get({
-      aiMode: 'gemini', // Default to Gemini
-      geminiApiKey: ''
+      ...AIProviders.settingsDefaults,
+      ...TrackerAdapters.settingsDefaults,
+      ...WebhookClient.settingsDefaults,
+      aiSendScreenshot: false,
+      aiReviewBeforeSending: false,
+      ...Redactor.settingsDefaults,
+      earlyConsoleCapture: false,
+      networkCaptureHeaders: false,
+      networkCaptureBodies: false
     });
     
     // Set radio button
-    document.querySelector(`input[value="${settings.aiMode}"]`).checked = true;
+    document.querySelector(`input[name="aiMode"][value="${settings.aiMode}"]`).checked = true;
+    document.querySelector(`input[name="trackerType"][value="${settings.trackerType}"]`).checked = true;
     
-    // Set API key if exists
-    if (settings.geminiApiKey) {
-      document.getElementById('geminiKey').value = settings.geminiApiKey;
-    }
+    Object.entries(AI_PROVIDER_FIELDS).forEach(([key, fieldId]) => {
+      document.getElementById(fieldId).value = settings[key];
+    });
+    
+    modelStatus = await AIProviders.getModelStatus();
+    Object.keys(fallbackModels).forEach(providerId => {
+      fallbackModels[providerId] = [...settings[`${providerId}FallbackModels`]];
+      renderModelList(providerId);
+    });
+    
+    Object.entries(TRACKER_FIELDS).forEach(([key, fieldId]) => {
+      document.getElementById(fieldId).value = settings[key];
+    });
+    Object.entries(TRACKER_FIELD_MAPPINGS).forEach(([trackerId, key]) => {
+      document.getElementById(`${trackerId}FieldMapping`).value = TrackerAdapters.formatFieldMapping(settings[key]);
+    });
+    document.getElementById('webhookUrl').value = settings.webhookUrl;
+    document.getElementById('webhookHeaders').value = WebhookClient.formatHeaders(settings.webhookHeaders);
+    document.getElementById('webhookTemplate').value = settings.webhookTemplate;
+    document.getElementById('webhookRetries').value = settings.webhookRetries;
+    document.getElementById('aiSendScreenshot').checked = settings.aiSendScreenshot;
+    document.getElementById('aiReviewBeforeSending').checked = settings.aiReviewBeforeSending;
+    document.getElementById('redactionEnabled').checked = settings.redactionEnabled;
+    document.querySelectorAll('.redaction-detector').forEach(checkbox => {
+      checkbox.checked = !settings.redactionDisabledDetectors.includes(checkbox.value);
+    });
+    document.getElementById('redactionRules').value = Redactor.formatRules(settings.redactionRules);
+    document.getElementById('earlyConsoleCapture').checked = settings.earlyConsoleCapture;
+    document.getElementById('networkCaptureHeaders').checked = settings.networkCaptureHeaders;
+    document.getElementById('networkCaptureBodies').checked = settings.networkCaptureBodies;
     
     // Show appropriate config sections
     toggleConfigSections();
+    await renderAuditLog();
     
     console.log('Settings loaded:', { aiMode: settings.aiMode, hasKey: !!settings.geminiApiKey });
     
@@ -33,23 +140,93 @@ async function loadSettings() {
 async function saveSettings() {
   try {
     const aiMode = document.querySelector('input[name="aiMode"]:checked').value;
-    const geminiApiKey = document.getElementById('geminiKey').value.trim();
+    const aiProvider = getAiProviderFormValues();
+    const wantsEarlyCapture = document.getElementById('earlyConsoleCapture').checked;
+    
+    const providerError = validateAiProvider(aiMode, aiProvider);
+    if (providerError) {
+      showStatus(providerError, 'error');
+      return;
+    }
+    
+    let redactionRules;
+    try {
+      redactionRules = Redactor.parseRules(document.getElementById('redactionRules').value);
+    } catch (error) {
+      showStatus(`Redaction rules: ${error.message}`, 'error');
+      return;
+    }
+    
+    let tracker;
+    try {
+      tracker = getTrackerFormValues();
+    } catch (error) {
+      showStatus(error.message, 'error');
+      return;
+    }
     
-    // Validate Gemini API key if that mode is selected
-    if (aiMode === 'gemini' && !geminiApiKey) {
-      showStatus('Please enter a Gemini API key', 'error');
+    const trackerError = validateTracker(tracker);
+    if (trackerError) {
+      showStatus(trackerError, 'error');
+      return;
+    }
+    const trackerAdapter = TrackerAdapters.create(tracker);
+    
+    let webhook;
+    try {
+      webhook = getWebhookFormValues();
+    } catch (error) {
+      showStatus(error.message, 'error');
+      return;
+    }
+    const webhookClient = WebhookClient.create(webhook);
+    
+    // Ask for host access before saving so the prompt still runs within the click's user activation
+    let earlyConsoleCapture = false;
+    if (wantsEarlyCapture) {
+      earlyConsoleCapture = await requestHostAccess(['http://*/*', 'https://*/*']);
+      document.getElementById('earlyConsoleCapture').checked = earlyConsoleCapture;
+    } else {
+      const origins = [trackerAdapter, webhookClient]
+        .filter(destination => destination.isConfigured())
+        .map(destination => destination.getOrigin());
+      // Provider requests are made by background.js, which needs host access to reach a local server
+      if (aiMode === 'openai' || aiMode === 'custom') {
+        origins.push(`${new URL(AIProviders.create({ aiMode, ...aiProvider }).getEndpoint()).origin}/*`);
+      }
+      if (origins.length > 0) {
+        await requestHostAccess(origins);
+      }
+    }
+    
+    const keyError = await verifyProviderKey(aiMode, aiProvider);
+    if (keyError) {
+      showStatus(keyError, 'error');
       return;
     }
     
     // Save to chrome storage
     await chrome.storage.sync.set({
       aiMode: aiMode,
-      geminiApiKey: geminiApiKey
+      ...aiProvider,
+      aiSendScreenshot: document.getElementById('aiSendScreenshot').checked,
+      aiReviewBeforeSending: document.getElementById('aiReviewBeforeSending').checked,
+      redactionEnabled: document.getElementById('redactionEnabled').checked,
+      redactionDisabledDetectors: Array.from(document.querySelectorAll('.redaction-detector:not(:checked)'), checkbox => checkbox.value),
+      redactionRules,
+      earlyConsoleCapture: earlyConsoleCapture,
+      networkCaptureHeaders: document.getElementById('networkCaptureHeaders').checked,
+      networkCaptureBodies: document.getElementById('networkCaptureBodies').checked,
+      ...tracker,
+      ...webhook
     });
     
-    showStatus('Settings saved successfully! 🎉', 'success');
+    if (wantsEarlyCapture && !earlyConsoleCapture) {
+      showStatus('Console capture needs access to all sites - permission was not granted', 'error');
+      return;
+    }
     
-    console.log('Settings saved:', { aiMode, hasKey: !!geminiApiKey });
+    showStatus('Settings saved successfully! 🎉', 'success');
     
   } catch (error) {
     console.error('Failed to save settings:', error);
@@ -57,16 +234,469 @@ async function saveSettings() {
   }
 }
 
+function getAiProviderFormValues() {
+  const defaults = AIProviders.settingsDefaults;
+  const values = Object.fromEntries(Object.entries(AI_PROVIDER_FIELDS)
+    .map(([key, fieldId]) => [key, document.getElementById(fieldId).value.trim()]));
+  
+  // Blank model and tuning fields fall back to the defaults rather than being stored empty
+  Object.keys(values)
+    .filter(key => /(Model|Temperature|MaxTokens)$/.test(key) && values[key] === '')
+    .forEach(key => { values[key] = defaults[key]; });
+  Object.keys(values)
+    .filter(key => /(Temperature|MaxTokens)$/.test(key))
+    .forEach(key => { values[key] = Number(values[key]); });
+  Object.keys(fallbackModels).forEach(providerId => {
+    values[`${providerId}FallbackModels`] = [...fallbackModels[providerId]];
+  });
+  
+  values.openaiBaseUrl = values.openaiBaseUrl.replace(/\/+$/, '');
+  return values;
+}
+
+// Returns an error message for the selected provider, or null when its settings are usable
+function validateAiProvider(aiMode, values) {
+  if (aiMode === 'pattern') return null;
+  
+  const temperature = values[`${aiMode}Temperature`];
+  const maxTokens = values[`${aiMode}MaxTokens`];
+  
+  if (aiMode === 'gemini' && !values.geminiApiKey) {
+    return 'Please enter a Gemini API key';
+  }
+  if (aiMode === 'openai' && !isValidHttpUrl(values.openaiBaseUrl)) {
+    return 'OpenAI-compatible base URL must start with http:// or https://';
+  }
+  if (aiMode === 'openai' && !values.openaiModel) {
+    return 'Please enter the model name to use with the OpenAI-compatible API';
+  }
+  if (aiMode === 'custom' && !isValidHttpUrl(values.customEndpointUrl)) {
+    return 'Custom endpoint URL must start with http:// or https://';
+  }
+  if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+    return 'Temperature must be between 0 and 2';
+  }
+  if (!Number.isInteger(maxTokens) || maxTokens < 256) {
+    return 'Max output tokens must be a whole number of at least 256';
+  }
+  return null;
+}
+
+// Throws when a field mapping can't be parsed, naming the tracker it belongs to
+function getTrackerFormValues() {
+  const values = {
+    trackerType: document.querySelector('input[name="trackerType"]:checked').value,
+    ...Object.fromEntries(Object.entries(TRACKER_FIELDS)
+      .map(([key, fieldId]) => [key, document.getElementById(fieldId).value.trim()]))
+  };
+  
+  Object.keys(values)
+    .filter(key => key.endsWith('Url'))
+    .forEach(key => { values[key] = values[key].replace(/\/+$/, ''); });
+  
+  Object.entries(TRACKER_FIELD_MAPPINGS).forEach(([trackerId, key]) => {
+    try {
+      values[key] = TrackerAdapters.parseFieldMapping(document.getElementById(`${trackerId}FieldMapping`).value);
+    } catch (error) {
+      throw new Error(`${TrackerAdapters.labels[trackerId]} field mapping: ${error.message}`);
+    }
+  });
+  
+  return values;
+}
+
+// Returns an error message when a URL of the selected tracker is malformed, or null
+function validateTracker(values) {
+  const label = TrackerAdapters.labels[values.trackerType];
+  const invalidUrl = Object.keys(TRACKER_FIELDS)
+    .filter(key => key.toLowerCase().startsWith(values.trackerType) && key.endsWith('Url'))
+    .find(key => values[key] && !isValidHttpUrl(values[key]));
+  
+  return invalidUrl ? `${label} URL must start with http:// or https://` : null;
+}
+
+// Throws when the headers or template can't be used; the template is checked by filling it with a sample report
+function getWebhookFormValues() {
+  const values = {
+    webhookUrl: document.getElementById('webhookUrl').value.trim(),
+    webhookTemplate: document.getElementById('webhookTemplate').value.trim() || WebhookClient.defaultTemplate,
+    webhookRetries: document.getElementById('webhookRetries').value.trim()
+  };
+  
+  if (values.webhookUrl && !isValidHttpUrl(values.webhookUrl)) {
+    throw new Error('Webhook URL must start with http:// or https://');
+  }
+  
+  values.webhookRetries = values.webhookRetries === '' ? WebhookClient.settingsDefaults.webhookRetries : Number(values.webhookRetries);
+  if (!Number.isInteger(values.webhookRetries) || values.webhookRetries < 0 || values.webhookRetries > 10) {
+    throw new Error('Webhook retries must be a whole number from 0 to 10');
+  }
+  
+  try {
+    values.webhookHeaders = WebhookClient.parseHeaders(document.getElementById('webhookHeaders').value);
+  } catch (error) {
+    throw new Error(`Webhook headers: ${error.message}`);
+  }
+  
+  try {
+    WebhookClient.render(values.webhookTemplate, WebhookClient.sampleContext);
+  } catch (error) {
+    throw new Error(`Webhook template: ${error.message}`);
+  }
+  
+  return values;
+}
+
+function isValidHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+// Host access lets extension pages call the issue tracker's API without CORS restrictions
+// and lets the console capture script run on every site
+async function requestHostAccess(origins) {
+  try {
+    if (await chrome.permissions.contains({ origins })) {
+      return true;
+    }
+    return await chrome.permissions.request({ origins });
+  } catch (error) {
+    // permissions.request only works from a user gesture (e.g. not from a timer)
+    console.warn('Host permission request skipped:', error.message);
+    return false;
+  }
+}
+
+async function testTrackerConnection() {
+  let tracker;
+  try {
+    tracker = getTrackerFormValues();
+  } catch (error) {
+    showStatus(error.message, 'error');
+    return;
+  }
+  
+  const adapter = TrackerAdapters.create(tracker);
+  const trackerError = validateTracker(tracker);
+  if (trackerError || !adapter.isConfigured()) {
+    showStatus(trackerError || `Enter the ${adapter.label} connection details first`, 'error');
+    return;
+  }
+  
+  try {
+    await requestHostAccess([adapter.getOrigin()]);
+    await adapter.testConnection();
+    
+    showStatus(`Connected to ${adapter.label} successfully! 🎉`, 'success');
+  } catch (error) {
+    console.error(`${adapter.label} connection test failed:`, error);
+    showStatus(`${adapter.label} connection failed: ${error.message}`, 'error');
+  }
+}
+
+async function sendTestWebhook() {
+  let webhook;
+  try {
+    webhook = getWebhookFormValues();
+  } catch (error) {
+    showStatus(error.message, 'error');
+    return;
+  }
+  
+  const client = WebhookClient.create(webhook);
+  if (!client.isConfigured()) {
+    showStatus('Enter the webhook URL first', 'error');
+    return;
+  }
+  
+  const button = document.getElementById('testWebhookBtn');
+  button.disabled = true;
+  
+  try {
+    await requestHostAccess([client.getOrigin()]);
+    const result = await client.send(WebhookClient.sampleContext);
+    const retried = result.attempts > 1 ? ` after ${result.attempts} attempts` : '';
+    showStatus(`Webhook answered ${result.status}${retried} 🎉`, 'success');
+  } catch (error) {
+    console.error('Webhook test failed:', error);
+    showStatus(`Webhook test failed: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Listing models is the cheapest authenticated call, so it doubles as the key check.
+// Only a rejected key blocks saving; an unreachable server is left for the test button to diagnose.
+async function verifyProviderKey(aiMode, values) {
+  const provider = AIProviders.create({ aiMode, ...values });
+  if (!provider || aiMode === 'custom') return null;
+  
+  try {
+    setModelOptions(aiMode, await provider.listModels());
+    return null;
+  } catch (error) {
+    // Gemini answers 400 for a malformed or unknown key
+    if (error.status === 401 || error.status === 403 || (aiMode === 'gemini' && error.status === 400)) {
+      return `${provider.label} rejected the API key: ${error.message}`;
+    }
+    console.warn('Could not verify the API key:', error);
+    return null;
+  }
+}
+
+async function loadAvailableModels(providerId) {
+  const values = getAiProviderFormValues();
+  
+  if (providerId === 'gemini' ? !values.geminiApiKey : !isValidHttpUrl(values.openaiBaseUrl)) {
+    showStatus(providerId === 'gemini' ? 'Enter the Gemini API key first' : 'Enter the base URL first', 'error');
+    return;
+  }
+  
+  // Built directly because create() also wants a model, which is what is being picked here
+  const provider = providerId === 'gemini'
+    ? new GeminiProvider({ apiKey: values.geminiApiKey })
+    : new OpenAICompatibleProvider({ baseUrl: values.openaiBaseUrl, apiKey: values.openaiApiKey });
+  
+  try {
+    const models = await provider.listModels();
+    setModelOptions(providerId, models);
+    showStatus(models.length > 0
+      ? `Found ${models.length} models - pick one from the model fields`
+      : `${provider.label} did not list any models`, models.length > 0 ? 'success' : 'error');
+  } catch (error) {
+    console.error('Failed to list models:', error);
+    showStatus(`Could not load models: ${error.message}`, 'error');
+  }
+}
+
+function setModelOptions(providerId, models) {
+  const datalist = document.getElementById(`${providerId}ModelOptions`);
+  datalist.replaceChildren(...models.map(model => {
+    const option = document.createElement('option');
+    option.value = model;
+    return option;
+  }));
+}
+
+function addFallbackModel(providerId) {
+  const input = document.getElementById(`${providerId}FallbackInput`);
+  const model = input.value.trim();
+  
+  if (!model || fallbackModels[providerId].includes(model)) {
+    input.value = '';
+    return;
+  }
+  
+  fallbackModels[providerId].push(model);
+  input.value = '';
+  renderModelList(providerId);
+}
+
+function moveFallbackModel(providerId, index, offset) {
+  const models = fallbackModels[providerId];
+  [models[index], models[index + offset]] = [models[index + offset], models[index]];
+  renderModelList(providerId);
+}
+
+function removeFallbackModel(providerId, index) {
+  fallbackModels[providerId].splice(index, 1);
+  renderModelList(providerId);
+}
+
+// The primary model heads the list; fallbacks below it can be reordered or removed
+function renderModelList(providerId) {
+  const list = document.getElementById(`${providerId}ModelList`);
+  const primaryModel = document.getElementById(`${providerId}Model`).value.trim();
+  const fallbacks = fallbackModels[providerId];
+  
+  const primaryItem = createModelListItem(providerId, primaryModel || AIProviders.settingsDefaults[`${providerId}Model`], 'primary');
+  const fallbackItems = fallbacks.map((model, index) => {
+    const item = createModelListItem(providerId, model, 'fallback');
+    const header = item.querySelector('.model-list-header');
+    header.append(
+      createListButton('↑', 'Move up', index === 0, () => moveFallbackModel(providerId, index, -1)),
+      createListButton('↓', 'Move down', index === fallbacks.length - 1, () => moveFallbackModel(providerId, index, 1)),
+      createListButton('✕', 'Remove', false, () => removeFallbackModel(providerId, index))
+    );
+    return item;
+  });
+  
+  list.replaceChildren(primaryItem, ...fallbackItems);
+}
+
+function createModelListItem(providerId, model, role) {
+  const item = document.createElement('li');
+  const header = document.createElement('div');
+  header.className = 'model-list-header';
+  
+  const name = document.createElement('span');
+  name.className = 'model-name';
+  name.textContent = model || '(endpoint default)';
+  header.appendChild(name);
+  
+  if (role === 'primary') {
+    const badge = document.createElement('span');
+    badge.className = 'feature-neutral';
+    badge.textContent = 'primary';
+    header.appendChild(badge);
+  }
+  
+  item.append(header, createModelStatusLine(modelStatus[`${providerId}:${model || ''}`]));
+  return item;
+}
+
+function createModelStatusLine(status) {
+  const line = document.createElement('div');
+  line.className = 'model-status';
+  
+  if (!status) {
+    line.textContent = 'Not used yet';
+    return line;
+  }
+  
+  line.textContent = status.lastSuccessAt
+    ? `✅ Last success ${new Date(status.lastSuccessAt).toLocaleString()}`
+    : 'No successful calls yet';
+  
+  if (status.lastErrorAt) {
+    const error = document.createElement('span');
+    error.className = 'model-error';
+    error.textContent = ` · ⚠️ Last error ${new Date(status.lastErrorAt).toLocaleString()}: ${status.lastError}`;
+    error.title = status.lastError;
+    line.appendChild(error);
+  }
+  
+  return line;
+}
+
+function createListButton(text, title, disabled, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = text;
+  button.title = title;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Sends a short prompt through the provider as configured in the form, before it is saved
+async function testAiProvider() {
+  const aiMode = document.querySelector('input[name="aiMode"]:checked').value;
+  const aiProvider = getAiProviderFormValues();
+  const providerError = validateAiProvider(aiMode, aiProvider);
+  
+  if (providerError) {
+    showStatus(providerError, 'error');
+    return;
+  }
+  
+  const provider = AIProviders.create({ aiMode, ...aiProvider });
+  if (!provider) {
+    showStatus('Select an AI provider to test', 'error');
+    return;
+  }
+  
+  try {
+    await provider.testConnection();
+    await AIProviders.recordModelStatus(provider.id, provider.model);
+    showStatus(`${provider.label} responded successfully! 🎉`, 'success');
+  } catch (error) {
+    console.error('AI provider test failed:', error);
+    await AIProviders.recordModelStatus(provider.id, provider.model, error);
+    showStatus(`${provider.label} test failed: ${error.message}`, 'error');
+  }
+  
+  modelStatus = await AIProviders.getModelStatus();
+  renderModelList(aiMode);
+  await renderAuditLog();
+}
+
+const AUDIT_LOG_ROWS = 50;
+
+// Newest first; the export has every stored entry
+async function renderAuditLog() {
+  const entries = await AIProviders.getAuditLog();
+  const totalBytes = entries.reduce((sum, entry) => sum + entry.payloadBytes, 0);
+  
+  document.getElementById('aiAuditSummary').textContent = entries.length === 0
+    ? 'No AI requests have been sent yet.'
+    : `${entries.length} request${entries.length === 1 ? '' : 's'} since ${new Date(entries[0].timestamp).toLocaleString()}, ${(totalBytes / 1024).toFixed(1)} KB in total${entries.length > AUDIT_LOG_ROWS ? ` - showing the latest ${AUDIT_LOG_ROWS}` : ''}. The log keeps the last ${AIProviders.auditLogLimit} requests.`;
+  document.getElementById('aiAuditTable').style.display = entries.length === 0 ? 'none' : 'table';
+  
+  document.getElementById('aiAuditRows').replaceChildren(...entries.slice(-AUDIT_LOG_ROWS).reverse().map(entry => {
+    const row = document.createElement('tr');
+    [
+      new Date(entry.timestamp).toLocaleString(),
+      `${AIProviders.labels[entry.provider] || entry.provider}: ${entry.destination}`,
+      entry.model || 'default',
+      `${(entry.payloadBytes / 1024).toFixed(1)} KB`
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    return row;
+  }));
+}
+
+async function exportAuditLog() {
+  const entries = await AIProviders.getAuditLog();
+  try {
+    await ReportExporter.download(`ai-request-log-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(entries, null, 2), 'application/json');
+  } catch (error) {
+    showStatus(`Export failed: ${error.message}`, 'error');
+  }
+}
+
+async function clearAuditLog() {
+  if (!confirm('Delete the AI request log? This cannot be undone.')) return;
+  
+  await AIProviders.clearAuditLog();
+  await renderAuditLog();
+  showStatus('AI request log cleared', 'success');
+}
+
+// One checkbox per built-in detector, so new detectors show up without touching options.html
+function renderRedactionDetectors() {
+  const container = document.getElementById('redactionDetectors');
+  container.replaceChildren(...Redactor.builtInDetectors.map(detector => {
+    const option = document.createElement('div');
+    option.className = 'radio-option';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `redact-${detector.id}`;
+    checkbox.className = 'redaction-detector';
+    checkbox.value = detector.id;
+    checkbox.checked = true;
+    
+    const label = document.createElement('label');
+    label.htmlFor = checkbox.id;
+    label.textContent = detector.label;
+    
+    option.append(checkbox, label);
+    return option;
+  }));
+}
+
 function toggleConfigSections() {
   const selectedMode = document.querySelector('input[name="aiMode"]:checked').value;
+  document.getElementById('redactionConfig').style.display = document.getElementById('redactionEnabled').checked ? 'block' : 'none';
   
-  // Show/hide Gemini config
-  const geminiConfig = document.getElementById('geminiConfig');
-  if (selectedMode === 'gemini') {
-    geminiConfig.style.display = 'block';
-  } else {
-    geminiConfig.style.display = 'none';
-  }
+  // Only the selected provider's settings are shown
+  document.querySelectorAll('.provider-config').forEach(config => {
+    config.style.display = config.id === `${selectedMode}Config` ? 'block' : 'none';
+  });
+  document.getElementById('aiCommonConfig').style.display = selectedMode === 'pattern' ? 'none' : 'block';
+  
+  const selectedTracker = document.querySelector('input[name="trackerType"]:checked').value;
+  document.querySelectorAll('.tracker-config').forEach(config => {
+    config.style.display = config.id === `${selectedTracker}TrackerConfig` ? 'block' : 'none';
+  });
 }
 
 function showStatus(message, type) {
@@ -94,14 +724,3 @@ document.addEventListener('keydown', (e) => {
     document.getElementById('status').style.display = 'none';
   }
 });
-
-// Auto-save API key changes after a delay
-let saveTimeout;
-document.getElementById('geminiKey').addEventListener('input', () => {
-  clearTimeout(saveTimeout);
-  saveTimeout = setTimeout(() => {
-    if (document.querySelector('input[value="gemini"]').checked) {
-      saveSettings();
-    }
-  }, 2000); // Auto-save after 2 seconds of no typing
-});
\ No newline at end of file
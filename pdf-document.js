@@ -0,0 +1,166 @@
+// Just enough PDF for the report export: A4 pages, the standard Helvetica and Courier fonts (viewers supply them,
+// so nothing is embedded), lines, filled boxes and JPEG images. Coordinates are PDF points from the bottom left.
+// Text is WinAnsi-encoded; characters it can't represent, such as emoji, are left out.
+class PdfDocument {
+  constructor(options = {}) {
+    this.title = options.title || '';
+    this.pageWidth = 595.28;
+    this.pageHeight = 841.89;
+    this.pages = [];
+    this.images = [];
+    this.addPage();
+  }
+
+  // Resource name -> base font; widths are from the Adobe font metrics, in 1/1000 em for characters 32-126
+  static get fonts() {
+    return {
+      regular: { name: 'F1', baseFont: 'Helvetica' },
+      bold: { name: 'F2', baseFont: 'Helvetica-Bold' },
+      italic: { name: 'F3', baseFont: 'Helvetica-Oblique' },
+      mono: { name: 'F4', baseFont: 'Courier' }
+    };
+  }
+
+  static get helveticaWidths() {
+    return [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556,
+      556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+      833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500,
+      556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500,
+      334, 260, 334, 584];
+  }
+
+  static get helveticaBoldWidths() {
+    return [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556,
+      556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+      833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556,
+      611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500,
+      389, 280, 389, 584];
+  }
+
+  // Unicode -> WinAnsi code for the characters reports commonly contain outside Latin-1
+  static get winAnsiExtras() {
+    return {
+      '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, '‰': 0x89, '‹': 0x8b, '‘': 0x91, '’': 0x92,
+      '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99, '›': 0x9b
+    };
+  }
+
+  // Returns a string whose character codes are all WinAnsi bytes
+  static encode(text) {
+    const extras = PdfDocument.winAnsiExtras;
+    return Array.from(String(text)).map(character => {
+      if (extras[character]) return String.fromCharCode(extras[character]);
+      if (character === '→') return '->';
+      if (character === '←') return '<-';
+      if (character === '\t') return '    ';
+      const code = character.codePointAt(0);
+      return code >= 32 && code <= 255 && (code < 127 || code >= 160) ? character : '';
+    }).join('');
+  }
+
+  // Width in points of already encoded text
+  static measure(encodedText, font, size) {
+    if (font === 'mono') {
+      return encodedText.length * 0.6 * size;
+    }
+
+    const widths = font === 'bold' ? PdfDocument.helveticaBoldWidths : PdfDocument.helveticaWidths;
+    let total = 0;
+    for (let index = 0; index < encodedText.length; index++) {
+      const code = encodedText.charCodeAt(index);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : code === 0x95 ? 350 : 556;
+    }
+    return total * size / 1000;
+  }
+
+  static escapeString(encodedText) {
+    return encodedText.replace(/[\\()]/g, match => `\\${match}`);
+  }
+
+  static formatNumber(value) {
+    return Number(value.toFixed(2)).toString();
+  }
+
+  addPage() {
+    this.pages.push({ operations: [], images: new Set() });
+    this.pageIndex = this.pages.length - 1;
+  }
+
+  // Drawing goes to the current page; setPage goes back to an earlier one, e.g. to add page numbers at the end
+  setPage(index) {
+    this.pageIndex = index;
+  }
+
+  get currentPage() {
+    return this.pages[this.pageIndex];
+  }
+
+  // gray: 0 is black, 1 is white
+  text(x, y, encodedText, font, size, gray = 0) {
+    const number = PdfDocument.formatNumber;
+    this.currentPage.operations.push(
+      `BT /${PdfDocument.fonts[font].name} ${number(size)} Tf ${number(gray)} g ${number(x)} ${number(y)} Td (${PdfDocument.escapeString(encodedText)}) Tj ET`
+    );
+  }
+
+  line(x1, y1, x2, y2, width = 0.5, gray = 0.8) {
+    const number = PdfDocument.formatNumber;
+    this.currentPage.operations.push(`${number(width)} w ${number(gray)} G ${number(x1)} ${number(y1)} m ${number(x2)} ${number(y2)} l S`);
+  }
+
+  rect(x, y, width, height, gray = 0.95) {
+    const number = PdfDocument.formatNumber;
+    this.currentPage.operations.push(`${number(gray)} g ${number(x)} ${number(y)} ${number(width)} ${number(height)} re f`);
+  }
+
+  // jpeg: { data: binary string of the JPEG file, width, height } in pixels
+  image(jpeg, x, y, width, height) {
+    const number = PdfDocument.formatNumber;
+    const index = this.images.push(jpeg) - 1;
+    this.currentPage.images.add(index);
+    this.currentPage.operations.push(`q ${number(width)} 0 0 ${number(height)} ${number(x)} ${number(y)} cm /Im${index} Do Q`);
+  }
+
+  // Object 1 is the catalog and 2 the page tree; both are filled in once the page objects are numbered
+  output() {
+    const objects = ['', ''];
+    const add = body => objects.push(body);
+    const stream = (dictionary, data) => `<< ${dictionary} /Length ${data.length} >>\nstream\n${data}\nendstream`;
+
+    const fontRefs = Object.values(PdfDocument.fonts).map(font =>
+      `/${font.name} ${add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`)} 0 R`
+    );
+    const imageRefs = this.images.map(image => add(stream(
+      `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`,
+      image.data
+    )));
+    const pageRefs = this.pages.map(page => {
+      const contents = add(stream('', page.operations.join('\n')));
+      const xObjects = [...page.images].map(index => `/Im${index} ${imageRefs[index]} 0 R`).join(' ');
+      return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.pageWidth} ${this.pageHeight}] ` +
+        `/Resources << /Font << ${fontRefs.join(' ')} >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> /Contents ${contents} 0 R >>`);
+    });
+    const info = add(`<< /Title (${PdfDocument.escapeString(PdfDocument.encode(this.title))}) /Producer (IssuetrakQAI) >>`);
+
+    objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[1] = `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+
+    let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = objects.map((body, index) => {
+      const offset = pdf.length;
+      pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Uint8Array.from(pdf, character => character.charCodeAt(0));
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.PdfDocument = PdfDocument;
+}
@@ -1,5 +1,5 @@
 class PerformanceMonitor {
-  constructor() {
+  constructor(options = {}) {
     this.metrics = {
       pageLoad: {},
       vitals: {},
@@ -14,6 +14,8 @@ class PerformanceMonitor {
     this.startTime = performance.now();
     this.observers = [];
     this.isMonitoring = false;
+    this.networkOptions = options.network || {};
+    this.networkRecorder = null;
   }
 
   async startMonitoring() {
@@ -132,6 +134,8 @@ class PerformanceMonitor {
     
     const observer = new PerformanceObserver((list) => {
       for (const entry of list.getEntries()) {
+        this.recordResourceFailure(entry);
+
         if (entry.duration > 1000) { // Resources taking > 1 second
           this.metrics.resources.push({
             name: entry.name,
@@ -217,6 +221,7 @@ class PerformanceMonitor {
     
     for (const resource of resources) {
       totalSize += resource.transferSize || 0;
+      this.recordResourceFailure(resource);
       
       if (resource.renderBlockingStatus === 'blocking') {
         renderBlockingResources++;
@@ -279,66 +284,71 @@ class PerformanceMonitor {
   }
 
   detectNetworkIssues() {
-    // Monitor for failed requests
-    const originalFetch = window.fetch;
-    const originalXHROpen = XMLHttpRequest.prototype.open;
-    
-    window.fetch = async (...args) => {
-      const start = performance.now();
-      try {
-        const response = await originalFetch(...args);
-        const duration = performance.now() - start;
-        
-        if (!response.ok) {
-          this.metrics.networkFailures.push({
-            url: args[0],
-            status: response.status,
-            duration,
-            type: 'fetch-error'
+    if (!window.NetworkRecorder) return;
+
+    this.networkRecorder = new window.NetworkRecorder({
+      ...this.networkOptions,
+      onEntry: (entry) => {
+        if (entry.error) {
+          this.recordNetworkFailure({
+            url: entry.url,
+            error: entry.error,
+            duration: entry.duration,
+            startTime: entry.startTime,
+            type: `${entry.type}-network-error`
           });
-        } else if (duration > 5000) {
-          this.metrics.networkFailures.push({
-            url: args[0],
-            duration,
+        } else if (entry.status >= 400) {
+          this.recordNetworkFailure({
+            url: entry.url,
+            status: entry.status,
+            duration: entry.duration,
+            startTime: entry.startTime,
+            type: `${entry.type}-error`
+          });
+        } else if (entry.duration > 5000) {
+          this.recordNetworkFailure({
+            url: entry.url,
+            duration: entry.duration,
+            startTime: entry.startTime,
             type: 'slow-request',
-            status: response.status
+            status: entry.status
           });
         }
-        
-        return response;
-      } catch (error) {
-        this.metrics.networkFailures.push({
-          url: args[0],
-          error: error.message,
-          duration: performance.now() - start,
-          type: 'network-error'
-        });
-        throw error;
       }
-    };
-    
-    XMLHttpRequest.prototype.open = function(...args) {
-      const start = performance.now();
-      const originalSend = this.send;
-      
-      this.send = function(...sendArgs) {
-        this.addEventListener('loadend', () => {
-          const duration = performance.now() - start;
-          if (this.status >= 400) {
-            this.metrics.networkFailures.push({
-              url: args[1],
-              status: this.status,
-              duration,
-              type: 'xhr-error'
-            });
-          }
-        });
-        
-        return originalSend.apply(this, sendArgs);
-      };
-      
-      return originalXHROpen.apply(this, args);
-    };
+    });
+
+    this.networkRecorder.start();
+  }
+
+  // Resource Timing reports HTTP errors for every request the browser made, including ones that happened before
+  // the recorder's wrappers were installed; only the status is known, and only for same-origin or CORS responses
+  recordResourceFailure(resource) {
+    if (!(resource.responseStatus >= 400)) return;
+
+    const type = resource.initiatorType === 'xmlhttprequest' ? 'xhr' : resource.initiatorType || 'resource';
+    this.recordNetworkFailure({
+      url: resource.name,
+      status: resource.responseStatus,
+      duration: resource.duration,
+      startTime: resource.startTime,
+      type: `${type}-error`
+    });
+  }
+
+  // The same request can be reported by both the recorder and Resource Timing
+  recordNetworkFailure(failure) {
+    const duplicate = this.metrics.networkFailures.some(existing => existing.url === failure.url &&
+      existing.startTime !== undefined &&
+      Math.abs(existing.startTime - failure.startTime) < 50);
+
+    if (!duplicate) {
+      this.metrics.networkFailures.push(failure);
+    }
+  }
+
+  exportHAR() {
+    const recorder = this.networkRecorder || (window.NetworkRecorder ? new window.NetworkRecorder(this.networkOptions) : null);
+    return recorder ? recorder.toHAR() : null;
   }
 
   monitorSlowInteractions() {
@@ -435,10 +445,91 @@ class PerformanceMonitor {
       score: Math.max(0, score),
       issues,
       metrics: this.metrics,
+      network: this.networkRecorder ? this.networkRecorder.getSummary() : null,
       recommendations: this.generateRecommendations(issues)
     };
   }
 
+  // Report-model section; each poor metric becomes a finding carrying its own fix
+  toReportSection(report) {
+    const vitals = report.metrics.vitals;
+    const findings = [];
+    const vitalChecks = [
+      { key: 'lcp', title: 'Largest Contentful Paint', format: value => `${value.toFixed(0)}ms (should be <2.5s)`, recommendation: 'Optimize Largest Contentful Paint: compress images, lazy load below-fold content, improve server response times' },
+      { key: 'fid', title: 'First Input Delay', format: value => `${value.toFixed(0)}ms (should be <100ms)`, recommendation: 'Reduce input delay: break up long tasks and defer non-critical JavaScript' },
+      { key: 'cls', title: 'Cumulative Layout Shift', format: value => `${value.toFixed(3)} (should be <0.1)`, recommendation: 'Reserve space for images, ads and embeds so content does not shift while loading' }
+    ];
+
+    vitalChecks.forEach(check => {
+      const vital = vitals[check.key];
+      if (vital && vital.rating !== 'good') {
+        findings.push({
+          category: 'core-web-vitals',
+          severity: vital.rating === 'poor' ? 'high' : 'medium',
+          title: `${vital.rating === 'poor' ? 'Poor' : 'Slow'} ${check.title}`,
+          description: check.format(vital.value),
+          evidence: vital.element ? [`Element: ${vital.element}`] : [],
+          recommendation: check.recommendation
+        });
+      }
+    });
+
+    if (report.metrics.longTasks.length > 0) {
+      const criticalTasks = report.metrics.longTasks.filter(task => task.impact === 'critical');
+      findings.push({
+        category: 'main-thread',
+        severity: criticalTasks.length > 0 ? 'high' : 'medium',
+        title: 'Long Tasks',
+        description: `${report.metrics.longTasks.length} long tasks found (${criticalTasks.length} critical)`,
+        evidence: [...report.metrics.longTasks]
+          .sort((a, b) => b.duration - a.duration)
+          .slice(0, 3)
+          .map(task => `${task.duration.toFixed(0)}ms at ${task.startTime.toFixed(0)}ms (${task.attribution})`),
+        recommendation: 'Break up long tasks: use setTimeout, requestIdleCallback, or Web Workers for heavy computations'
+      });
+    }
+
+    if (report.metrics.networkFailures.length > 0) {
+      const failed = report.metrics.networkFailures.filter(failure => failure.type !== 'slow-request');
+      findings.push({
+        category: 'network',
+        severity: failed.length > 0 ? 'high' : 'medium',
+        title: failed.length > 0 ? 'Failed Network Requests' : 'Slow Network Requests',
+        description: `${report.metrics.networkFailures.length} network issues detected`,
+        evidence: report.metrics.networkFailures.slice(0, 3).map(failure =>
+          `${failure.status || failure.error || 'slow'} ${failure.url} (${Math.round(failure.duration)}ms)`),
+        recommendation: 'Fix network issues: implement proper error handling, add request timeouts, optimize API calls'
+      });
+    }
+
+    if (report.metrics.renderBlocking.length > 5) {
+      findings.push({
+        category: 'loading',
+        severity: 'medium',
+        title: 'Render-blocking Resources',
+        description: `${report.metrics.renderBlocking.length} render-blocking resources`,
+        evidence: report.metrics.renderBlocking.slice(0, 3).map(resource => `${resource.name} (${Math.round(resource.duration)}ms)`),
+        recommendation: 'Reduce render-blocking resources: defer non-critical JavaScript, inline critical CSS'
+      });
+    }
+
+    const facts = [
+      { label: 'Performance Score', value: `${report.score}/100` },
+      vitals.lcp && { label: 'LCP', value: `${vitals.lcp.value.toFixed(0)}ms (${vitals.lcp.rating})` },
+      vitals.cls && { label: 'CLS', value: `${vitals.cls.value.toFixed(3)} (${vitals.cls.rating})` },
+      vitals.fid && { label: 'FID', value: `${vitals.fid.value.toFixed(0)}ms (${vitals.fid.rating})` },
+      report.network && { label: 'Requests', value: `${report.network.totalRequests} (${report.network.failedRequests} failed)` }
+    ];
+
+    return {
+      id: 'performance',
+      source: 'PerformanceMonitor',
+      title: '⚡ Performance Analysis',
+      facts,
+      findings
+    };
+  }
+
   generateRecommendations(issues) {
     const recommendations = [];
     
@@ -464,10 +555,36 @@ class PerformanceMonitor {
   stopMonitoring() {
     this.observers.forEach(observer => observer.disconnect());
     this.observers = [];
+    if (this.networkRecorder) {
+      this.networkRecorder.stop();
+    }
     this.isMonitoring = false;
   }
 }
 
 if (typeof window !== 'undefined') {
   window.PerformanceMonitor = PerformanceMonitor;
+
+  if (window.analyzerRegistry) {
+    window.analyzerRegistry.register({
+      id: 'performance',
+      label: 'Performance monitor',
+      modes: ['general', 'performance'],
+      order: 10,
+      async analyze(context) {
+        const monitor = new PerformanceMonitor({ network: context.options.network });
+        context.analyzer = monitor;
+        await monitor.startMonitoring();
+
+        try {
+          // Give it time to collect performance data
+          await context.wait(2000);
+          return { report: monitor.generatePerformanceReport(), har: monitor.exportHAR() };
+        } finally {
+          monitor.stopMonitoring();
+        }
+      },
+      toFindings: (result, context) => context.analyzer.toReportSection(result.report)
+    });
+  }
 }
\ No newline at end of file
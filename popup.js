@@ -1,5 +1,47 @@
 let currentTab = null;
 let bugReportData = null;
+let bugReportDocument = null;
+let bugReportAnalysis = null;
+let bugReportScreenshot = null;
+let originalScreenshot = null;
+let screenshotAnnotator = null;
+let savedAnnotations = [];
+let recordingState = null;
+let bugReportHar = null;
+let analysisRun = null;
+let progressTimer = null;
+let reportChat = null;
+let reportChatNeedsReview = false;
+let historySave = null;
+let pendingReview = null;
+const reportHistory = new ReportHistory();
+
+// Scripts each analysis mode needs (report sections follow each analyzer's order in analyzer-registry.js); network-recorder and stack-resolver back the HAR export and stack traces in every mode
+const ANALYSIS_MODES = {
+  general: ['network-recorder.js', 'performance-monitor.js', 'react-analyzer.js', 'react-advanced.js', 'asp-analyzer.js', 'stack-resolver.js'],
+  performance: ['network-recorder.js', 'performance-monitor.js', 'stack-resolver.js'],
+  react: ['network-recorder.js', 'react-analyzer.js', 'react-advanced.js', 'stack-resolver.js'],
+  security: ['security-analyzer.js', 'asp-analyzer.js', 'network-recorder.js', 'stack-resolver.js'],
+  accessibility: ['accessibility-analyzer.js', 'network-recorder.js', 'stack-resolver.js']
+};
+
+// Global each script defines, used to skip files already loaded into the tab
+const SCRIPT_GLOBALS = {
+  'report-model.js': 'ReportModel',
+  'analyzer-registry.js': 'AnalyzerRegistry',
+  'ai-providers.js': 'AIProviders',
+  'redaction.js': 'Redactor',
+  'dom-snapshot.js': 'DomSnapshot',
+  'ai-analyzer.js': 'AIBugAnalyzer',
+  'react-analyzer.js': 'ReactQAAnalyzer',
+  'react-advanced.js': 'ReactAdvancedAnalyzer',
+  'network-recorder.js': 'NetworkRecorder',
+  'performance-monitor.js': 'PerformanceMonitor',
+  'asp-analyzer.js': 'ASPNETAnalyzer',
+  'stack-resolver.js': 'StackTraceResolver',
+  'security-analyzer.js': 'SecurityAnalyzer',
+  'accessibility-analyzer.js': 'AccessibilityAnalyzer'
+};
 
 chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
   currentTab = tabs[0];
@@ -15,21 +57,191 @@ chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
   
   if (isValidWebPage) {
     button.disabled = false;
-    button.addEventListener('click', () => generateBugReport());
+    button.addEventListener('click', () => generateBugReport(getSelectedMode()));
+    refreshRecordingState();
   } else {
     button.disabled = true;
     button.textContent = 'Not Available';
     button.title = 'Bug reporting is only available on web pages (http/https)';
+    document.getElementById('recordSteps').disabled = true;
+    document.getElementById('analysisMode').disabled = true;
+  }
+});
+
+chrome.storage.local.get({ lastAnalysisMode: 'general' }, ({ lastAnalysisMode }) => {
+  if (ANALYSIS_MODES[lastAnalysisMode]) {
+    document.getElementById('analysisMode').value = lastAnalysisMode;
   }
 });
 
+document.getElementById('analysisMode').addEventListener('change', (event) => {
+  chrome.storage.local.set({ lastAnalysisMode: event.target.value });
+});
+
+function getSelectedMode() {
+  const mode = document.getElementById('analysisMode').value;
+  return ANALYSIS_MODES[mode] ? mode : 'general';
+}
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Messages arrive both directly and through the background relay, and late ones from cancelled runs can follow
   if (request.type === 'bugReportData') {
-    displayBugReport(request.report);
+    if (analysisRun && request.runId === analysisRun.id) {
+      finishAnalysisRun();
+      displayBugReport(request.report, request.analysis, request.har, request.reportDocument);
+      saveToHistory(request);
+    }
     sendResponse({ received: true });
   }
+  
+  if (request.type === 'analysisProgress' && analysisRun && request.runId === analysisRun.id) {
+    updateProgressStep(request.step);
+  }
+  
+  // Answered once the tester decides, so the channel is kept open
+  if (request.type === 'aiPayloadReview') {
+    if (analysisRun && request.runId === analysisRun.id) {
+      openPayloadReview(request.review, sendResponse);
+      return true;
+    }
+    sendResponse({ approved: false });
+  }
+  
+  if (request.type === 'recordedStep' && sender.tab && currentTab && sender.tab.id === currentTab.id && recordingState) {
+    recordingState.steps.push(request.step);
+    updateRecordingUI();
+  }
+});
+
+function saveToHistory(reportMessage) {
+  historySave = reportHistory.save({
+    url: currentTab.url,
+    title: currentTab.title,
+    report: reportMessage.report,
+    reportDocument: reportMessage.reportDocument,
+    analysis: reportMessage.analysis,
+    analyzerData: reportMessage.analyzerData,
+    analysisMode: reportMessage.analyzerData ? reportMessage.analyzerData.analysisMode : getSelectedMode()
+  }).catch(error => {
+    console.error('Failed to save report to history:', error);
+    return null;
+  });
+}
+
+document.getElementById('openHistory').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+});
+
+async function refreshRecordingState() {
+  recordingState = await chrome.runtime.sendMessage({ type: 'getRecording', tabId: currentTab.id });
+  updateRecordingUI();
+}
+
+function updateRecordingUI() {
+  const recordButton = document.getElementById('recordSteps');
+  const label = document.getElementById('recordStepsLabel');
+  const status = document.getElementById('recordingStatus');
+  const stepCount = recordingState ? recordingState.steps.length : 0;
+  const isActive = Boolean(recordingState && recordingState.active);
+  
+  recordButton.classList.toggle('recording', isActive);
+  label.textContent = isActive ? 'Stop Recording' : 'Record Steps';
+  
+  if (isActive) {
+    status.textContent = `Recording... ${stepCount} step${stepCount === 1 ? '' : 's'} captured. Reproduce the bug, then reopen this popup.`;
+  } else if (stepCount > 0) {
+    status.textContent = `${stepCount} recorded step${stepCount === 1 ? '' : 's'} will be added to the report.`;
+  } else {
+    status.textContent = '';
+  }
+}
+
+document.getElementById('recordSteps').addEventListener('click', async () => {
+  const messageType = recordingState && recordingState.active ? 'stopRecording' : 'startRecording';
+  const response = await chrome.runtime.sendMessage({ type: messageType, tabId: currentTab.id });
+  
+  if (response && response.error) {
+    document.getElementById('recordingStatus').textContent = `Recording failed: ${response.error}`;
+    return;
+  }
+  
+  recordingState = response;
+  updateRecordingUI();
 });
 
+async function getRecordedSteps() {
+  if (recordingState && recordingState.active) {
+    recordingState = await chrome.runtime.sendMessage({ type: 'stopRecording', tabId: currentTab.id });
+    updateRecordingUI();
+  }
+  return recordingState ? recordingState.steps : [];
+}
+
+// early-capture.js buffers in the page's MAIN world, which content scripts cannot see directly
+async function getEarlyConsoleLogs() {
+  try {
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId: currentTab.id },
+      world: 'MAIN',
+      func: () => {
+        const capture = window.__bugReporterEarlyCapture;
+        return capture ? capture.entries : [];
+      }
+    });
+    return result || [];
+  } catch (error) {
+    console.warn('Early console capture unavailable:', error);
+    return [];
+  }
+}
+
+// fetch and XMLHttpRequest have to be wrapped in the page's own world; network-recorder.js reads the entries back.
+// The script guards against installing twice, including when early capture already installed it at page load
+async function installNetworkCapture() {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId: currentTab.id },
+      world: 'MAIN',
+      files: ['network-capture.js']
+    });
+  } catch (error) {
+    console.warn('Network capture unavailable:', error);
+  }
+}
+
+// Content scripts share the isolated world, so this hands popup-side data to content-simple.js
+async function setReportContext(context) {
+  await chrome.scripting.executeScript({
+    target: { tabId: currentTab.id },
+    func: (reportContext) => {
+      // A new run replaces any analysis still in flight
+      if (window.bugReporterAbortController) {
+        window.bugReporterAbortController.abort();
+      }
+      window.bugReporterContext = reportContext;
+      window.bugReporterInitialized = false;
+    },
+    args: [context]
+  });
+}
+
+// Re-evaluating a class file in the same document throws a redeclaration error, so inject each file once
+async function injectScripts(files) {
+  const [{ result: loadedGlobals }] = await chrome.scripting.executeScript({
+    target: { tabId: currentTab.id },
+    func: (globalNames) => globalNames.filter(name => Boolean(window[name])),
+    args: [files.map(file => SCRIPT_GLOBALS[file])]
+  });
+  
+  const missingFiles = files.filter(file => !loadedGlobals.includes(SCRIPT_GLOBALS[file]));
+  if (missingFiles.length === 0) return;
+  
+  await chrome.scripting.executeScript({
+    target: { tabId: currentTab.id },
+    files: missingFiles
+  });
+}
+
 
 async function generateBugReport(analysisType = 'general') {
   const reportContainer = document.getElementById('reportContainer');
@@ -45,114 +257,252 @@ async function generateBugReport(analysisType = 'general') {
       accessibility: 'Checking accessibility compliance...'
     };
     
+    // Capture before the report UI expands so the page is still the visible tab
+    await captureScreenshot();
+    
     bugReportText.textContent = analysisMessages[analysisType] || analysisMessages.general;
     reportContainer.classList.remove('hidden');
+    document.getElementById('submitResult').classList.add('hidden');
+    document.getElementById('findingCards').classList.add('hidden');
+    document.getElementById('redactionSummary').classList.add('hidden');
+    closeReportChat();
+    document.getElementById('recordingControls').classList.add('hidden');
     document.body.classList.add('expanded');
     startButton.style.display = 'none';
+    document.getElementById('modePicker').classList.add('hidden');
     
-    bugReportText.textContent = `Loading AI model for ${analysisType} analysis... This may take a moment.`;
+    const settings = await chrome.storage.sync.get({ aiMode: 'gemini', aiSendScreenshot: false });
     
-    const settings = await chrome.storage.sync.get({
-      aiMode: 'gemini',
-      geminiApiKey: ''
+    await installNetworkCapture();
+    await setReportContext({
+      runId: startAnalysisRun(),
+      analysisType,
+      reproductionSteps: await getRecordedSteps(),
+      earlyConsoleLogs: await getEarlyConsoleLogs(),
+      // Only handed to the page when it will be sent to the AI provider
+      screenshot: settings.aiMode !== 'pattern' && settings.aiSendScreenshot ? bugReportScreenshot : null
     });
     
+    const scripts = settings.aiMode !== 'pattern'
+      ? ['ai-analyzer.js', ...ANALYSIS_MODES[analysisType]]
+      : ANALYSIS_MODES[analysisType];
+    
+    // content-simple.js needs these for every report (ai-providers.js decides whether AI runs at all),
+    // and analyzers register with the registry as they load
+    await injectScripts(['report-model.js', 'analyzer-registry.js', 'ai-providers.js', 'redaction.js']);
     
     try {
-      if (settings.aiMode === 'gemini' && settings.geminiApiKey) {
-        // Inject Gemini AI script first
-        await chrome.scripting.executeScript({
-          target: { tabId: currentTab.id },
-          files: ['gemini-ai.js']
-        });
-      }
-      
-      await chrome.scripting.executeScript({
-        target: { tabId: currentTab.id },
-        files: ['react-analyzer.js']
-      });
-      
-      await chrome.scripting.executeScript({
-        target: { tabId: currentTab.id },
-        files: ['react-advanced.js']
-      });
-
-      await chrome.scripting.executeScript({
-        target: { tabId: currentTab.id },
-        files: ['performance-monitor.js']
-      });
-      
-      await chrome.scripting.executeScript({
-        target: { tabId: currentTab.id },
-        files: ['asp-analyzer.js']
-      });
-      
-      await chrome.scripting.executeScript({
-        target: { tabId: currentTab.id },
-        files: ['content-simple.js']
-      });
-      
+      await injectScripts(scripts);
     } catch (injectionError) {
-      
-      await chrome.scripting.executeScript({
-        target: { tabId: currentTab.id },
-        files: ['content-simple.js']
-      });
+      console.warn('Analyzer injection failed, continuing with a basic report:', injectionError);
     }
     
-    setTimeout(() => {
-      if (bugReportText.textContent.includes('Loading AI model')) {
-        bugReportText.textContent = 'AI model loaded! Processing... (this can take 10-30 seconds)';
-      }
-    }, 3000);
-    
-    setTimeout(() => {
-      if (bugReportText.textContent.includes('Processing')) {
-        bugReportText.textContent = 'AI model download taking longer than expected... (can take 2-3 minutes on first use)';
-        
-        setTimeout(() => {
-          if (bugReportText.textContent.includes('download taking longer')) {
-            bugReportText.textContent = 'AI analysis taking too long... generating basic report';
-            chrome.scripting.executeScript({
-              target: { tabId: currentTab.id },
-              func: () => {
-                const url = window.location.href;
-                const report = `## Basic Page Report\n\nURL: ${url}\nPage Title: ${document.title}\nTimestamp: ${new Date().toISOString()}\n\nNote: AI analysis timed out after 2 minutes - this is a basic report.\nTip: First AI analysis can take 2-3 minutes to download models. Try again for faster results.`;
-                chrome.runtime.sendMessage({ type: 'bugReportData', report: report });
-              }
-            });
-          }
-        }, 90000);
-      }
-    }, 30000);
+    await chrome.scripting.executeScript({
+      target: { tabId: currentTab.id },
+      files: ['content-simple.js']
+    });
     
   } catch (error) {
+    finishAnalysisRun();
     bugReportText.textContent = `Error generating bug report: ${error.message}`;
   }
 }
 
-function displayBugReport(report) {
+function startAnalysisRun() {
+  finishAnalysisRun();
+  analysisRun = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    steps: new Map()
+  };
+  
+  renderProgress();
+  document.getElementById('analysisProgress').classList.remove('hidden');
+  document.getElementById('cancelAnalysis').classList.remove('hidden');
+  progressTimer = setInterval(renderProgress, 500);
+  return analysisRun.id;
+}
+
+function finishAnalysisRun() {
+  closePayloadReview({ approved: false });
+  analysisRun = null;
+  clearInterval(progressTimer);
+  progressTimer = null;
+  document.getElementById('analysisProgress').classList.add('hidden');
+  document.getElementById('cancelAnalysis').classList.add('hidden');
+}
+
+// Duplicate events are harmless: each step keeps the first start and the latest outcome
+function updateProgressStep(step) {
+  const existing = analysisRun.steps.get(step.id);
+  
+  if (step.status === 'started') {
+    analysisRun.steps.set(step.id, {
+      label: step.label,
+      status: 'started',
+      detail: null,
+      startedAt: existing && existing.status === 'started' ? existing.startedAt : step.timestamp,
+      finishedAt: null
+    });
+  } else {
+    analysisRun.steps.set(step.id, {
+      label: step.label,
+      status: step.status,
+      detail: step.detail,
+      startedAt: existing ? existing.startedAt : step.timestamp,
+      finishedAt: step.timestamp
+    });
+  }
+  
+  renderProgress();
+}
+
+function renderProgress() {
+  if (!analysisRun) return;
+  
+  const list = document.getElementById('analysisProgress');
+  const icons = { started: '⏳', finished: '✅', failed: '⚠️', cancelled: '⏹️', skipped: '⏭️' };
+  list.replaceChildren();
+  
+  if (analysisRun.steps.size === 0) {
+    const item = document.createElement('li');
+    item.className = 'progress-step started';
+    item.textContent = '⏳ Starting analysis...';
+    list.appendChild(item);
+    return;
+  }
+  
+  analysisRun.steps.forEach(step => {
+    const item = document.createElement('li');
+    item.className = `progress-step ${step.status}`;
+    
+    const label = document.createElement('span');
+    label.className = 'progress-label';
+    label.textContent = `${icons[step.status] || '•'} ${step.label}`;
+    if (step.detail) {
+      label.title = step.detail;
+    }
+    
+    const duration = document.createElement('span');
+    duration.className = 'progress-duration';
+    duration.textContent = `${(((step.finishedAt || Date.now()) - step.startedAt) / 1000).toFixed(1)}s`;
+    
+    item.append(label, duration);
+    list.appendChild(item);
+  });
+}
+
+async function captureScreenshot() {
+  const preview = document.getElementById('screenshotPreview');
+  
+  try {
+    bugReportScreenshot = await chrome.tabs.captureVisibleTab(currentTab.windowId, { format: 'png' });
+    originalScreenshot = bugReportScreenshot;
+    document.getElementById('screenshotThumbnail').src = bugReportScreenshot;
+    preview.classList.remove('hidden');
+  } catch (error) {
+    console.warn('Screenshot capture failed:', error);
+    bugReportScreenshot = null;
+    originalScreenshot = null;
+    preview.classList.add('hidden');
+  }
+  
+  resetAnnotator();
+}
+
+function resetAnnotator() {
+  if (screenshotAnnotator) {
+    screenshotAnnotator.destroy();
+    screenshotAnnotator = null;
+  }
+  savedAnnotations = [];
+}
+
+async function openAnnotationEditor() {
+  if (!originalScreenshot) return;
+  
+  if (!screenshotAnnotator) {
+    screenshotAnnotator = new ScreenshotAnnotator(document.getElementById('annotationCanvas'), originalScreenshot);
+    await screenshotAnnotator.load();
+    screenshotAnnotator.setTool(document.querySelector('.annotation-tool.active[data-tool]').dataset.tool);
+    screenshotAnnotator.setColor(document.getElementById('annotationColor').value);
+  }
+  
+  // Snapshot so Cancel can discard edits made in this session
+  savedAnnotations = screenshotAnnotator.annotations.slice();
+  document.getElementById('annotationEditor').classList.remove('hidden');
+}
+
+function closeAnnotationEditor(apply) {
+  const editor = document.getElementById('annotationEditor');
+  
+  if (apply) {
+    bugReportScreenshot = screenshotAnnotator.hasAnnotations() ? screenshotAnnotator.flatten() : originalScreenshot;
+    document.getElementById('screenshotThumbnail').src = bugReportScreenshot;
+  } else {
+    screenshotAnnotator.commitTextInput();
+    screenshotAnnotator.annotations = savedAnnotations;
+    screenshotAnnotator.render();
+  }
+  
+  editor.classList.add('hidden');
+}
+
+document.getElementById('annotateScreenshot').addEventListener('click', () => {
+  openAnnotationEditor().catch(error => {
+    console.error('Failed to open annotation editor:', error);
+  });
+});
+
+document.querySelectorAll('.annotation-tool[data-tool]').forEach(button => {
+  button.addEventListener('click', () => {
+    document.querySelectorAll('.annotation-tool[data-tool]').forEach(other => other.classList.remove('active'));
+    button.classList.add('active');
+    screenshotAnnotator.setTool(button.dataset.tool);
+  });
+});
+
+document.getElementById('annotationColor').addEventListener('input', (event) => {
+  screenshotAnnotator.setColor(event.target.value);
+});
+
+document.getElementById('annotationUndo').addEventListener('click', () => screenshotAnnotator.undo());
+document.getElementById('annotationCancel').addEventListener('click', () => closeAnnotationEditor(false));
+document.getElementById('annotationApply').addEventListener('click', () => closeAnnotationEditor(true));
+
+function getScreenshotFileName() {
+  const host = currentTab && currentTab.url ? new URL(currentTab.url).hostname : 'page';
+  return `screenshot-${host}-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+}
+
+function displayBugReport(report, analysis, har, reportDocument) {
   const bugReportText = document.getElementById('bugReportText');
   bugReportData = report;
-  bugReportText.innerHTML = parseMarkdown(report);
-}
-
-function parseMarkdown(text) {
-  return text
-    .replace(/^### (.*$)/gim, '<h3>$1</h3>')
-    .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-    .replace(/^# (.*$)/gim, '<h1>$1</h1>')
-    .replace(/\*\*(.*?)\*\*/gim, '<strong>$1</strong>')
-    .replace(/\*(.*?)\*/gim, '<em>$1</em>')
-    .replace(/`(.*?)`/gim, '<code>$1</code>')
-    .replace(/^\* (.*$)/gim, '<li>$1</li>')
-    .replace(/^- (.*$)/gim, '<li>$1</li>')
-    .replace(/\n\n/gim, '</p><p>')
-    .replace(/^(?!<[hul])/gim, '<p>')
-    .replace(/([^>])\n/gim, '$1<br>')
-    .replace(/<p><\/p>/gim, '')
-    .replace(/(<li>.*<\/li>)/gims, '<ul>$1</ul>')
-    .replace(/<\/ul>\s*<ul>/gim, '');
+  bugReportDocument = reportDocument || null;
+  bugReportAnalysis = analysis || null;
+  bugReportHar = har || null;
+  document.getElementById('exportHar').disabled = !bugReportHar;
+  document.getElementById('exportJson').disabled = !bugReportDocument;
+  document.getElementById('exportBundle').disabled = !bugReportDocument;
+  bugReportText.replaceChildren(MarkdownRenderer.render(bugReportData));
+  renderFindingCards();
+  renderRedactionSummary();
+  openReportChat();
+}
+
+// Rich-text copy of the report, with the screenshot inline when there is one
+function getReportHtml() {
+  const container = document.createElement('div');
+  container.append(MarkdownRenderer.render(bugReportData));
+  
+  if (bugReportScreenshot) {
+    const paragraph = document.createElement('p');
+    const image = document.createElement('img');
+    image.src = bugReportScreenshot;
+    image.alt = 'Screenshot';
+    paragraph.appendChild(image);
+    container.appendChild(paragraph);
+  }
+  return container.innerHTML;
 }
 
 document.getElementById('copyReport').addEventListener('click', async () => {
@@ -160,7 +510,17 @@ document.getElementById('copyReport').addEventListener('click', async () => {
   const reportContainer = document.getElementById('reportContainer');
   
   try {
-    await navigator.clipboard.writeText(bugReportData);
+    if (bugReportScreenshot) {
+      // Rich-text targets (email, Issuetrak, Word) receive the report with the screenshot inline
+      await navigator.clipboard.write([
+        new ClipboardItem({
+          'text/plain': new Blob([bugReportData], { type: 'text/plain' }),
+          'text/html': new Blob([getReportHtml()], { type: 'text/html' })
+        })
+      ]);
+    } else {
+      await navigator.clipboard.writeText(bugReportData);
+    }
     reportContainer.classList.add('copy-success');
     setTimeout(() => {
       reportContainer.classList.remove('copy-success');
@@ -173,6 +533,488 @@ document.getElementById('copyReport').addEventListener('click', async () => {
   }
 });
 
+document.getElementById('submitIssue').addEventListener('click', () => {
+  if (!bugReportDocument) {
+    showSubmitResult('Generate a report before submitting an issue.', 'error');
+    return;
+  }
+  
+  submitTicket(ReportModel.toTicket(bugReportDocument), document.getElementById('submitIssue'));
+});
+
+async function getTrackerAdapter() {
+  return TrackerAdapters.create(await chrome.storage.sync.get(TrackerAdapters.settingsDefaults));
+}
+
+// The submit button names the tracker reports go to; Issuetrak keeps its own icon
+async function updateSubmitButton() {
+  const adapter = await getTrackerAdapter();
+  const button = document.getElementById('submitIssue');
+  button.title = `Submit to ${adapter.label}`;
+  document.getElementById('submitIssueLogo').classList.toggle('hidden', adapter.id !== 'issuetrak');
+  document.getElementById('submitIssueGeneric').classList.toggle('hidden', adapter.id === 'issuetrak');
+}
+
+updateSubmitButton();
+
+// Only offered once a webhook URL is set in Options
+chrome.storage.sync.get({ webhookUrl: '' }).then(({ webhookUrl }) => {
+  document.getElementById('sendWebhook').classList.toggle('hidden', !webhookUrl);
+});
+
+document.getElementById('sendWebhook').addEventListener('click', async () => {
+  const button = document.getElementById('sendWebhook');
+  if (!bugReportDocument) {
+    showSubmitResult('Generate a report before sending it to the webhook.', 'error');
+    return;
+  }
+  
+  button.disabled = true;
+  showSubmitResult('Sending to webhook...', 'pending');
+  
+  try {
+    const client = WebhookClient.create(await chrome.storage.sync.get(WebhookClient.settingsDefaults));
+    const result = await client.send(WebhookClient.getContext(bugReportDocument));
+    const retried = result.attempts > 1 ? ` after ${result.attempts} attempts` : '';
+    showSubmitResult(`Sent to webhook (HTTP ${result.status}${retried})`, 'success');
+  } catch (error) {
+    const attempts = error.attempts > 1 ? ` after ${error.attempts} attempts` : '';
+    showSubmitResult(`Webhook failed${attempts}: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+  }
+});
+
+async function submitTicket(ticket, submitButton) {
+  submitButton.disabled = true;
+  let trackerLabel = 'Issue tracker';
+  
+  try {
+    const adapter = await getTrackerAdapter();
+    trackerLabel = adapter.label;
+    showSubmitResult(`Submitting to ${adapter.label}...`, 'pending');
+    
+    const attachments = bugReportScreenshot
+      ? [{ fileName: getScreenshotFileName(), dataUrl: bugReportScreenshot }]
+      : [];
+    
+    const result = await adapter.submitIssue(ticket, attachments);
+    const warning = result.attachmentErrors.length > 0
+      ? ` (attachment failed: ${result.attachmentErrors.join('; ')})`
+      : '';
+    showSubmitResult(`Created ${adapter.label} issue ${result.issueLabel}${warning}`, 'success', result.url);
+    return result;
+  } catch (error) {
+    showSubmitResult(`${trackerLabel} submission failed: ${error.message}`, 'error');
+    return null;
+  } finally {
+    submitButton.disabled = false;
+  }
+}
+
+// Ranked AI findings get a card each so unrelated problems can go to separate tickets
+function renderFindingCards() {
+  const container = document.getElementById('findingCards');
+  const findings = bugReportDocument ? ReportModel.getAnalysisFindings(bugReportDocument.analysis) : [];
+  container.replaceChildren();
+  container.classList.toggle('hidden', findings.length < 2);
+  
+  if (findings.length < 2) return;
+  
+  findings.forEach(finding => {
+    const severity = ReportModel.normalizeSeverity(finding.severity);
+    const card = document.createElement('div');
+    card.className = `finding-card ${severity}`;
+    
+    const header = document.createElement('div');
+    header.className = 'finding-card-header';
+    
+    const badge = document.createElement('span');
+    badge.className = 'finding-severity';
+    badge.textContent = severity;
+    
+    const title = document.createElement('span');
+    title.className = 'finding-title';
+    title.textContent = `${finding.rank}. ${finding.title}`;
+    header.append(badge, title);
+    
+    const summary = document.createElement('p');
+    summary.className = 'finding-summary';
+    summary.textContent = finding.summary;
+    
+    const fix = document.createElement('p');
+    fix.className = 'finding-fix';
+    fix.textContent = `Fix: ${finding.suggestedFix}`;
+    
+    const fileButton = document.createElement('button');
+    fileButton.className = 'glass-btn text-btn';
+    fileButton.textContent = '📤 File issue';
+    fileButton.title = 'Submit this finding to the issue tracker as its own issue';
+    fileButton.addEventListener('click', async () => {
+      const result = await submitTicket(ReportModel.toAnalysisFindingTicket(bugReportDocument, finding.rank), fileButton);
+      if (result) {
+        fileButton.textContent = `✅ Filed ${result.issueLabel}`;
+      }
+    });
+    
+    card.append(header, summary, fix, fileButton);
+    container.appendChild(card);
+  });
+}
+
+// Shows what was masked so testers can check nothing they need was lost, and nothing sensitive slipped through
+function renderRedactionSummary() {
+  const container = document.getElementById('redactionSummary');
+  const redactions = bugReportDocument ? bugReportDocument.redactions || [] : [];
+  container.replaceChildren();
+  container.classList.toggle('hidden', redactions.length === 0);
+  
+  if (redactions.length === 0) return;
+  
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  const total = redactions.reduce((sum, redaction) => sum + redaction.count, 0);
+  summary.textContent = `🛡️ ${total} sensitive value${total === 1 ? '' : 's'} masked before leaving the page`;
+  
+  const list = document.createElement('ul');
+  redactions.forEach(redaction => {
+    const item = document.createElement('li');
+    item.textContent = `${redaction.count} × ${redaction.label}: ${redaction.examples.join(', ')}`;
+    list.appendChild(item);
+  });
+  
+  details.append(summary, list);
+  container.appendChild(details);
+}
+
+// Shows exactly what will be posted: the prompt is rebuilt here from the same page data with the same analyzer,
+// so unticking a section updates the preview to the payload that will really go out
+function openPayloadReview(review, respond) {
+  closePayloadReview({ approved: false });
+  pendingReview = {
+    review,
+    respond,
+    analyzer: new AIBugAnalyzer(review.provider),
+    excludedSections: new Set()
+  };
+  document.getElementById('aiReviewDecline').title = 'Keep the data on this machine and use pattern analysis';
+  
+  const sections = document.getElementById('aiReviewSections');
+  sections.replaceChildren(...AIBugAnalyzer.getPayloadSections(review.pageData).map(section => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        pendingReview.excludedSections.delete(section.id);
+      } else {
+        pendingReview.excludedSections.add(section.id);
+      }
+      renderPayloadReview();
+    });
+    
+    const name = document.createElement('span');
+    name.textContent = section.label;
+    const size = document.createElement('span');
+    size.className = 'section-size';
+    size.textContent = formatBytes(section.bytes);
+    
+    label.append(checkbox, name, size);
+    return label;
+  }));
+  
+  renderPayloadReview();
+  document.getElementById('aiReview').classList.remove('hidden');
+}
+
+function renderPayloadReview() {
+  const { review, analyzer, excludedSections } = pendingReview;
+  const pageData = AIBugAnalyzer.withoutSections(review.pageData, [...excludedSections]);
+  const prompt = analyzer.buildAnalysisPrompt(pageData);
+  const payloadBytes = AIBugAnalyzer.measure(prompt) + AIBugAnalyzer.measure(pageData.screenshot);
+  
+  document.getElementById('aiReviewDestination').textContent =
+    `To ${review.provider.label} (${review.destination}) · ${review.models.filter(Boolean).join(' → ') || 'default model'} · ${formatBytes(payloadBytes)}`;
+  document.getElementById('aiReviewPrompt').textContent = prompt;
+  
+  const screenshot = document.getElementById('aiReviewScreenshot');
+  screenshot.classList.toggle('hidden', !pageData.screenshot);
+  screenshot.src = pageData.screenshot || '';
+}
+
+// Answers the waiting content script; a no-op when no review is open
+function closePayloadReview(decision) {
+  if (!pendingReview) return;
+  
+  const { respond, excludedSections } = pendingReview;
+  pendingReview = null;
+  document.getElementById('aiReview').classList.add('hidden');
+  document.getElementById('aiReviewSections').replaceChildren();
+  document.getElementById('aiReviewPrompt').textContent = '';
+  document.getElementById('aiReviewScreenshot').src = '';
+  respond(decision.approved ? { approved: true, excludedSections: [...excludedSections] } : decision);
+}
+
+// The first question sends the report's page data to the provider, so with review on the chat's request is shown
+// first like the analysis request was; resolves to whether the tester approved it
+function reviewChatPayload(chat, question) {
+  return new Promise(resolve => {
+    closePayloadReview({ approved: false });
+    pendingReview = { chat, respond: (decision) => resolve(decision.approved), excludedSections: new Set() };
+    
+    const prompt = chat.getMessages(question).map(message => `[${message.role}]\n${message.content}`).join('\n\n');
+    document.getElementById('aiReviewDestination').textContent =
+      `To ${chat.provider.label} (${chat.provider.getEndpoint()}) · ${chat.provider.getModels().filter(Boolean).join(' → ') || 'default model'} · ${formatBytes(AIBugAnalyzer.measure(prompt))}`;
+    document.getElementById('aiReviewSections').replaceChildren();
+    document.getElementById('aiReviewPrompt').textContent = prompt;
+    document.getElementById('aiReviewScreenshot').classList.add('hidden');
+    document.getElementById('aiReviewDecline').title = 'Keep the data on this machine; the question is not sent';
+    document.getElementById('aiReview').classList.remove('hidden');
+  });
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+document.getElementById('aiReviewSend').addEventListener('click', () => {
+  closePayloadReview({ approved: true });
+});
+
+document.getElementById('aiReviewDecline').addEventListener('click', () => {
+  closePayloadReview({ approved: false });
+});
+
+// Only offered when the report's analysis came from the provider set in Options: pattern reports, including
+// ones whose AI request was declined at review, never had their page data approved for sending
+async function openReportChat() {
+  closeReportChat();
+  if (!bugReportDocument) return;
+  
+  const settings = await chrome.storage.sync.get({ ...AIProviders.settingsDefaults, aiReviewBeforeSending: false });
+  const provider = AIProviders.create(settings);
+  if (!provider || provider.id !== bugReportDocument.analysis.engine) return;
+  
+  reportChat = new ReportChat(provider, bugReportDocument);
+  reportChatNeedsReview = settings.aiReviewBeforeSending;
+  document.getElementById('reportChat').classList.remove('hidden');
+}
+
+function closeReportChat() {
+  if (pendingReview && pendingReview.chat) {
+    closePayloadReview({ approved: false });
+  }
+  reportChat = null;
+  document.getElementById('chatMessages').replaceChildren();
+  document.getElementById('chatInput').value = '';
+  document.getElementById('reportChat').classList.add('hidden');
+}
+
+function appendChatMessage(role, text) {
+  const message = document.createElement('div');
+  message.className = `chat-message ${role}`;
+  const body = document.createElement('div');
+  body.className = 'chat-message-body';
+  body.textContent = text;
+  message.appendChild(body);
+  
+  const messages = document.getElementById('chatMessages');
+  messages.appendChild(message);
+  messages.scrollTop = messages.scrollHeight;
+  return message;
+}
+
+document.getElementById('chatForm').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const input = document.getElementById('chatInput');
+  const sendButton = document.getElementById('chatSend');
+  const question = input.value.trim();
+  const chat = reportChat;
+  if (!question || !chat) return;
+  
+  sendButton.disabled = true;
+  if (reportChatNeedsReview) {
+    const approved = await reviewChatPayload(chat, question);
+    if (chat !== reportChat) return;
+    if (!approved) {
+      sendButton.disabled = false;
+      return;
+    }
+    reportChatNeedsReview = false;
+  }
+  
+  input.value = '';
+  appendChatMessage('user', question);
+  const reply = appendChatMessage('assistant pending', `${chat.provider.label} is thinking...`);
+  
+  try {
+    const answer = await chat.ask(question);
+    // A new report may have replaced the chat while the answer was on its way
+    if (chat !== reportChat) return;
+    
+    reply.className = 'chat-message assistant';
+    const body = reply.querySelector('.chat-message-body');
+    body.classList.add('markdown-content');
+    body.replaceChildren(MarkdownRenderer.render(answer.text));
+    
+    const addButton = document.createElement('button');
+    addButton.className = 'glass-btn text-btn';
+    addButton.textContent = '➕ Add to report';
+    addButton.title = 'Append this question and answer to the report';
+    addButton.addEventListener('click', () => {
+      addNoteToReport({ question, answer: answer.text, provider: chat.provider.label, model: answer.model });
+      addButton.disabled = true;
+      addButton.textContent = '✅ Added to report';
+    });
+    reply.appendChild(addButton);
+  } catch (error) {
+    if (chat !== reportChat) return;
+    console.error('Follow-up question failed:', error);
+    reply.className = 'chat-message assistant error';
+    reply.querySelector('.chat-message-body').textContent = `Could not get an answer: ${error.message}`;
+  } finally {
+    sendButton.disabled = false;
+  }
+});
+
+// Enter sends, Shift+Enter adds a line break
+document.getElementById('chatInput').addEventListener('keydown', (event) => {
+  if (event.key === 'Enter' && !event.shiftKey) {
+    event.preventDefault();
+    document.getElementById('chatForm').requestSubmit();
+  }
+});
+
+// Notes become part of the report everywhere it goes next: copy, tickets and the history entry
+async function addNoteToReport(note) {
+  bugReportDocument = ReportModel.addNote(bugReportDocument, note);
+  bugReportData = ReportModel.toMarkdown(bugReportDocument);
+  document.getElementById('bugReportText').replaceChildren(MarkdownRenderer.render(bugReportData));
+  
+  const record = await historySave;
+  if (record) {
+    reportHistory.update(record.id, { report: bugReportData, reportDocument: bugReportDocument }).catch(error => {
+      console.error('Failed to update report history:', error);
+    });
+  }
+}
+
+function showSubmitResult(message, type, link) {
+  const submitResult = document.getElementById('submitResult');
+  submitResult.textContent = message;
+  submitResult.className = `submit-result ${type}`;
+  
+  if (link) {
+    const anchor = document.createElement('a');
+    anchor.href = link;
+    anchor.textContent = 'Open issue';
+    anchor.addEventListener('click', (event) => {
+      event.preventDefault();
+      chrome.tabs.create({ url: link });
+    });
+    submitResult.append(' - ', anchor);
+  }
+}
+
+// Taken when a bundle is downloaded rather than with every report, and redacted in the page like the report was
+async function captureDomSnapshot() {
+  try {
+    await injectScripts(['redaction.js', 'dom-snapshot.js']);
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId: currentTab.id },
+      func: async () => {
+        const redactor = Redactor.fromSettings(await chrome.storage.sync.get(Redactor.settingsDefaults));
+        const snapshot = DomSnapshot.capture();
+        return redactor && snapshot ? redactor.redact(snapshot) : snapshot;
+      }
+    });
+    return result || null;
+  } catch (error) {
+    console.warn('DOM snapshot unavailable:', error);
+    return null;
+  }
+}
+
+// Standalone files for sign-off documents; HTML and PDF carry the (annotated) screenshot, and the bundle zips
+// every artifact together
+async function exportReport(format, button) {
+  if (!bugReportData) return;
+  
+  const host = currentTab && currentTab.url ? new URL(currentTab.url).hostname : 'page';
+  const baseName = `bug-report-${host}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  const exportInput = {
+    markdown: bugReportData,
+    title: `Bug report: ${bugReportDocument ? bugReportDocument.page.title : currentTab.title}`,
+    screenshot: bugReportScreenshot
+  };
+  
+  button.disabled = true;
+  try {
+    if (format === 'html') {
+      await ReportExporter.download(`${baseName}.html`, ReportExporter.toHTML(exportInput), 'text/html');
+    } else if (format === 'pdf') {
+      await ReportExporter.download(`${baseName}.pdf`, await ReportExporter.toPDF(exportInput), 'application/pdf');
+    } else if (format === 'bundle') {
+      const bundle = await ReportBundle.create({
+        markdown: bugReportData,
+        reportDocument: bugReportDocument,
+        har: bugReportHar,
+        screenshot: bugReportScreenshot,
+        domSnapshot: await captureDomSnapshot()
+      });
+      await ReportExporter.download(`${baseName}.zip`, bundle, 'application/zip');
+    } else {
+      await ReportExporter.download(`${baseName}.json`, ReportExporter.toJSON(bugReportDocument), 'application/json');
+    }
+  } catch (error) {
+    console.error('Report export failed:', error);
+    showSubmitResult(`Export failed: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+['html', 'pdf', 'json', 'bundle'].forEach(format => {
+  const button = document.getElementById(`export${format[0].toUpperCase()}${format.slice(1)}`);
+  button.addEventListener('click', () => exportReport(format, button));
+});
+
+document.getElementById('exportHar').addEventListener('click', async (event) => {
+  if (!bugReportHar) return;
+  
+  const button = event.currentTarget;
+  const host = currentTab && currentTab.url ? new URL(currentTab.url).hostname : 'page';
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  button.disabled = true;
+  try {
+    await ReportExporter.download(`network-${host}-${timestamp}.har`, JSON.stringify(bugReportHar, null, 2), 'application/json');
+  } catch (error) {
+    console.error('HAR export failed:', error);
+    showSubmitResult(`Export failed: ${error.message}`, 'error');
+  } finally {
+    button.disabled = !bugReportHar;
+  }
+});
+
+document.getElementById('cancelAnalysis').addEventListener('click', () => {
+  finishAnalysisRun();
+  document.getElementById('bugReportText').textContent = 'Analysis cancelled. Click Refresh to run it again.';
+  
+  chrome.scripting.executeScript({
+    target: { tabId: currentTab.id },
+    func: () => {
+      if (window.bugReporterAbortController) {
+        window.bugReporterAbortController.abort();
+      }
+    }
+  }).catch(error => {
+    console.error('Error cancelling analysis:', error);
+  });
+});
+
 document.getElementById('refreshReport').addEventListener('click', () => {
   console.log('🔄 Refresh button clicked');
   
@@ -185,10 +1027,10 @@ document.getElementById('refreshReport').addEventListener('click', () => {
       console.log('🧹 Cleared bug reporter state for refresh');
     }
   }).then(() => {
-    generateBugReport();
+    generateBugReport(getSelectedMode());
   }).catch(error => {
     console.error('Error clearing state:', error);
-    generateBugReport();
+    generateBugReport(getSelectedMode());
   });
 });
 
@@ -196,7 +1038,18 @@ document.getElementById('closeReport').addEventListener('click', () => {
   const reportContainer = document.getElementById('reportContainer');
   const startButton = document.getElementById('reportBug');
   
+  finishAnalysisRun();
   reportContainer.classList.add('hidden');
+  document.getElementById('submitResult').classList.add('hidden');
+  document.getElementById('findingCards').classList.add('hidden');
+  document.getElementById('redactionSummary').classList.add('hidden');
+  closeReportChat();
+  document.getElementById('recordingControls').classList.remove('hidden');
+  document.getElementById('modePicker').classList.remove('hidden');
+  document.getElementById('screenshotPreview').classList.add('hidden');
+  bugReportScreenshot = null;
+  originalScreenshot = null;
+  resetAnnotator();
   document.body.classList.remove('expanded');
   startButton.style.display = 'flex';
 });
@@ -923,9 +923,59 @@ class ReactAdvancedAnalyzer {
 
     return report;
   }
+
+  // Report-model section built from the same analysis as generateAdvancedReport
+  toReportSection(analysis) {
+    const recommendations = [
+      ...analysis.advancedPerformance.recommendations,
+      ...analysis.stateManagement.recommendations,
+      ...analysis.errorHandling.recommendations,
+      ...analysis.testing.recommendations,
+      ...analysis.codeQuality.recommendations,
+      ...analysis.securityChecks.recommendations
+    ];
+    const testingFrameworks = Object.keys(analysis.testing.frameworks).filter(key => analysis.testing.frameworks[key]);
+
+    return {
+      id: 'react-advanced',
+      source: 'ReactAdvancedAnalyzer',
+      title: '🔬 Advanced React Analysis',
+      facts: [
+        { label: 'Memory Leak Risk', value: analysis.advancedPerformance.memoryLeaks.riskLevel },
+        { label: 'Hook Issues', value: analysis.advancedPerformance.hookDependencies.potentialIssues },
+        { label: 'Redux', value: analysis.stateManagement.redux.detected ? 'Detected' : null },
+        { label: 'Context Providers', value: analysis.stateManagement.context.providers || null },
+        { label: 'Error Boundaries', value: analysis.errorHandling.errorBoundaries },
+        { label: 'Testing', value: testingFrameworks.join(', ') || null }
+      ],
+      findings: recommendations.map(rec => ({
+        category: rec.category || 'General',
+        severity: rec.priority,
+        title: rec.title || rec.type,
+        description: rec.description
+      }))
+    };
+  }
 }
 
 // Export for use in content script
 if (typeof window !== 'undefined') {
   window.ReactAdvancedAnalyzer = ReactAdvancedAnalyzer;
+
+  if (window.analyzerRegistry) {
+    window.analyzerRegistry.register({
+      id: 'react-advanced',
+      label: 'Advanced React analyzer',
+      modes: ['general', 'react'],
+      order: 30,
+      dependencies: ['react'],
+      timeout: 15000,
+      detect: (context) => context.dependencies.react.reactInfo.detected,
+      analyze(context) {
+        context.analyzer = new ReactAdvancedAnalyzer();
+        return context.analyzer.analyzeAdvancedReact();
+      },
+      toFindings: (analysis, context) => context.analyzer.toReportSection(analysis)
+    });
+  }
 }
\ No newline at end of file
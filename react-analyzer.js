@@ -616,9 +616,49 @@ class ReactQAAnalyzer {
 
     return report;
   }
+
+  // Report-model section built from the same analysis as generateReport
+  toReportSection(analysis) {
+    if (!analysis.reactInfo.detected) return null;
+
+    return {
+      id: 'react',
+      source: 'ReactQAAnalyzer',
+      title: '⚛️ React Analysis',
+      facts: [
+        { label: 'React Version', value: analysis.reactInfo.version },
+        { label: 'Mode', value: analysis.reactInfo.mode },
+        { label: 'DevTools', value: analysis.reactInfo.devTools ? 'Available' : 'Not Found' },
+        { label: 'Components', value: `${analysis.components.totalComponents} (${analysis.components.functionalComponents} functional, ${analysis.components.classComponents} class)` },
+        { label: 'Render Time', value: `${analysis.performance.renderPerformance.totalRenderTime.toFixed(1)}ms total` },
+        { label: 'Accessibility Score', value: `${analysis.accessibility.score}%` }
+      ],
+      findings: analysis.recommendations.map(rec => ({
+        category: rec.category,
+        severity: rec.priority,
+        title: rec.title,
+        description: rec.description
+      }))
+    };
+  }
 }
 
 // Export for use in content script
 if (typeof window !== 'undefined') {
   window.ReactQAAnalyzer = ReactQAAnalyzer;
+
+  if (window.analyzerRegistry) {
+    window.analyzerRegistry.register({
+      id: 'react',
+      label: 'React analyzer',
+      modes: ['general', 'react'],
+      order: 20,
+      timeout: 15000,
+      analyze(context) {
+        context.analyzer = new ReactQAAnalyzer();
+        return context.analyzer.analyzeReactApp();
+      },
+      toFindings: (analysis, context) => context.analyzer.toReportSection(analysis)
+    });
+  }
 }
\ No newline at end of file
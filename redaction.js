@@ -0,0 +1,198 @@
+// Masks personal data and secrets in anything that leaves the page: AI requests, the report, the HAR log.
+// One Redactor is used per run so the same value found in several payloads is counted once.
+//
+// Detector: { id, label, pattern (global RegExp), replace(match, ...groups) -> string, validate?(match) -> boolean }
+// Custom rule (stored in chrome.storage.sync as redactionRules): { label, pattern, flags }
+class Redactor {
+  constructor(options = {}) {
+    const disabled = options.disabledDetectors || [];
+    this.detectors = [
+      ...Redactor.builtInDetectors.filter(detector => !disabled.includes(detector.id)),
+      ...(options.customRules || []).map((rule, index) => Redactor.toCustomDetector(rule, index))
+    ];
+    // detector id -> Set of original values, for the preview
+    this.matches = new Map();
+  }
+
+  static get settingsDefaults() {
+    return {
+      redactionEnabled: true,
+      redactionDisabledDetectors: [],
+      redactionRules: []
+    };
+  }
+
+  // Returns null when redaction is switched off
+  static fromSettings(settings) {
+    if (!settings.redactionEnabled) return null;
+
+    return new Redactor({
+      disabledDetectors: settings.redactionDisabledDetectors,
+      customRules: settings.redactionRules
+    });
+  }
+
+  // Order matters: tokens are masked before the looser email and number patterns can match inside them
+  static get builtInDetectors() {
+    return [
+      {
+        id: 'bearer',
+        label: 'Bearer token',
+        pattern: /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/-]{8,}=*/gi,
+        replace: (match, scheme) => `${scheme} [REDACTED TOKEN]`
+      },
+      {
+        id: 'jwt',
+        label: 'JWT',
+        pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g,
+        replace: () => '[REDACTED JWT]'
+      },
+      {
+        id: 'apiKey',
+        label: 'API key',
+        pattern: /\b(?:AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|sk-(?:proj-|live-|test-)?[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|glpat-[A-Za-z0-9_-]{20,})\b/g,
+        replace: () => '[REDACTED API KEY]'
+      },
+      {
+        id: 'secretAssignment',
+        label: 'Secret value',
+        pattern: /\b((?:api[_-]?key|apikey|secret|client[_-]?secret|access[_-]?token|auth[_-]?token|password|passwd|pwd)["']?\s*[:=]\s*["']?)([^\s"'&,;}]{4,})/gi,
+        replace: (match, prefix) => `${prefix}[REDACTED]`
+      },
+      {
+        id: 'urlSession',
+        label: 'Session ID in URL',
+        pattern: /([?&;](?:session[_-]?id|sessid|sid|jsessionid|phpsessid|aspsessionid\w*|asp\.net_sessionid|token|access_token|id_token|refresh_token|auth|code|key|signature|sig)=)([^&#\s"'<>]+)/gi,
+        replace: (match, prefix) => `${prefix}[REDACTED]`
+      },
+      {
+        id: 'email',
+        label: 'Email address',
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+        replace: () => '[REDACTED EMAIL]'
+      },
+      {
+        id: 'creditCard',
+        label: 'Credit card number',
+        pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+        validate: match => Redactor.passesLuhn(match.replace(/\D/g, '')),
+        replace: () => '[REDACTED CARD]'
+      },
+      {
+        id: 'phone',
+        label: 'Phone number',
+        // Needs a leading + or separators between digit groups, so plain IDs and timestamps are left alone
+        pattern: /(?<![\w.-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}(?![\w-])/g,
+        validate: match => {
+          const digits = match.replace(/\D/g, '').length;
+          return digits >= 9 && digits <= 15;
+        },
+        replace: () => '[REDACTED PHONE]'
+      }
+    ];
+  }
+
+  static toCustomDetector(rule, index) {
+    const flags = (rule.flags || '').replace(/g/g, '');
+
+    return {
+      id: `custom-${index}`,
+      label: rule.label || `Custom rule ${index + 1}`,
+      pattern: new RegExp(rule.pattern, `${flags}g`),
+      replace: () => `[REDACTED ${String(rule.label || 'VALUE').toUpperCase()}]`
+    };
+  }
+
+  // Parses the options textarea: one "Label = /pattern/flags" per line; the label is optional.
+  // Throws with the line number when a pattern doesn't compile.
+  static parseRules(text) {
+    return text.split('\n')
+      .map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+      .filter(({ line }) => line && !line.startsWith('#'))
+      .map(({ line, lineNumber }) => {
+        const match = line.match(/^(?:(.+?)\s*=\s*)?\/(.+)\/([a-z]*)$/);
+        if (!match) {
+          throw new Error(`Line ${lineNumber}: write rules as "Label = /pattern/flags"`);
+        }
+
+        const [, label, pattern, flags] = match;
+        try {
+          new RegExp(pattern, flags);
+        } catch (error) {
+          throw new Error(`Line ${lineNumber}: ${error.message}`);
+        }
+        return { label: label || '', pattern, flags };
+      });
+  }
+
+  static formatRules(rules) {
+    return rules.map(rule => `${rule.label ? `${rule.label} = ` : ''}/${rule.pattern}/${rule.flags || ''}`).join('\n');
+  }
+
+  static passesLuhn(digits) {
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let index = 0; index < digits.length; index++) {
+      let digit = Number(digits[digits.length - 1 - index]);
+      if (index % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  redactText(text) {
+    if (typeof text !== 'string' || !text) return text;
+
+    return this.detectors.reduce((current, detector) => current.replace(detector.pattern, (...args) => {
+      const match = args[0];
+      if (detector.validate && !detector.validate(match)) {
+        return match;
+      }
+
+      if (!this.matches.has(detector.id)) {
+        this.matches.set(detector.id, new Set());
+      }
+      this.matches.get(detector.id).add(match);
+      return detector.replace(...args);
+    }), text);
+  }
+
+  // Returns a redacted copy with objects flattened to their own properties, as they would be once sent anyway.
+  // Object keys are kept as they are.
+  redact(value) {
+    if (typeof value === 'string') return this.redactText(value);
+    if (Array.isArray(value)) return value.map(item => this.redact(item));
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redact(item)]));
+    }
+    return value;
+  }
+
+  // What was masked; examples give only each value's length, since even a few leading characters can narrow a
+  // short secret down
+  getSummary() {
+    return this.detectors
+      .filter(detector => this.matches.has(detector.id))
+      .map(detector => {
+        const values = [...this.matches.get(detector.id)];
+        return {
+          id: detector.id,
+          label: detector.label,
+          count: values.length,
+          examples: values.slice(0, 3).map(value => Redactor.maskExample(value))
+        };
+      });
+  }
+
+  static maskExample(value) {
+    return `••• (${value.replace(/\s+/g, ' ').length} chars)`;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.Redactor = Redactor;
+}
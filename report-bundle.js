@@ -0,0 +1,75 @@
+// Every artifact of one report in a single zip that can be attached to any tracker. manifest.json at the root
+// describes the page, the analysis and each file, so tools can read a bundle without guessing at its layout.
+class ReportBundle {
+  // report: { markdown, reportDocument, har, screenshot, domSnapshot }; all but markdown and reportDocument may be
+  // null and are then left out of the bundle. Only the annotated screenshot goes in: the capture from before
+  // annotation would undo the redaction boxes in a file meant to be attached to trackers.
+  static async create(report) {
+    const { markdown, reportDocument, har, screenshot, domSnapshot } = report;
+    const archive = new ZipArchive();
+    const files = [];
+    const add = (name, content, mimeType, description, options) => {
+      archive.addFile(name, content, options);
+      files.push({ name, mimeType, description });
+    };
+
+    add('report.md', markdown, 'text/markdown', 'Bug report as shown in the popup');
+    add('report.json', ReportExporter.toJSON(reportDocument), 'application/json', 'Structured report data');
+
+    if (screenshot) {
+      add('screenshot.png', ReportBundle.dataUrlToBytes(screenshot), 'image/png',
+        'Screenshot of the visible page, with any annotations and redactions', { compress: false });
+    }
+    if (har) {
+      add('network.har', JSON.stringify(har, null, 2), 'application/json', 'Network log in HAR format, open in browser dev tools');
+    }
+    add('console.log', ReportBundle.formatConsoleLog(reportDocument), 'text/plain', 'Every captured console message, then error stack traces');
+    if (domSnapshot) {
+      add('dom-snapshot.html', domSnapshot, 'text/html', 'Page DOM when the bundle was downloaded, without scripts');
+    }
+
+    archive.addFile('manifest.json', JSON.stringify({
+      format: 'issuetrakqai-report-bundle',
+      version: 1,
+      createdAt: new Date().toISOString(),
+      generatedAt: reportDocument.generatedAt,
+      page: reportDocument.page,
+      analysisMode: reportDocument.analysisMode,
+      analysis: {
+        engine: reportDocument.analysis.engine,
+        provider: reportDocument.analysis.provider || null,
+        model: reportDocument.analysis.model || null,
+        severity: reportDocument.analysis.severity || null,
+        summary: reportDocument.analysis.summary || null
+      },
+      redactions: (reportDocument.redactions || []).map(({ label, count }) => ({ label, count })),
+      files
+    }, null, 2));
+
+    return archive.generate();
+  }
+
+  static dataUrlToBytes(dataUrl) {
+    return Uint8Array.from(atob(dataUrl.split(',')[1]), character => character.charCodeAt(0));
+  }
+
+  // Full timestamps here, unlike the report, since the log is read next to server logs
+  static formatConsoleLog(reportDocument) {
+    const lines = reportDocument.consoleLogs.map(log =>
+      `${log.timestamp || ''} [${log.method.toUpperCase()}]${log.early ? ' (page load)' : ''} ${log.args.join(' ')}`
+    );
+
+    if (reportDocument.errors.length > 0) {
+      lines.push('', '=== Error stack traces ===');
+      reportDocument.errors.forEach(error => {
+        lines.push('', `${error.name}: ${error.message}`, ...ReportModel.getErrorStackLines(error).map(line => `    ${line}`));
+      });
+    }
+
+    return lines.length > 0 ? `${lines.join('\n')}\n` : 'No console activity captured.\n';
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.ReportBundle = ReportBundle;
+}
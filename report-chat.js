@@ -0,0 +1,87 @@
+// Follow-up questions about a finished AI report. The conversation opens with the page data the report
+// was built from and the original analysis as the model's first answer, so every question is asked in context.
+class ReportChat {
+  constructor(provider, reportDocument) {
+    this.provider = provider;
+    this.messages = ReportChat.buildHistory(reportDocument);
+  }
+
+  // Sections the tester left out when reviewing the analysis request stay out of the chat too
+  static buildHistory(reportDocument) {
+    const excluded = new Set(reportDocument.analysis.excludedSections || []);
+    const payloadSectionOf = (section) => section.id === 'performance' ? 'performance' : 'analyzers';
+    const pageContext = {
+      url: reportDocument.page.url,
+      title: reportDocument.page.title,
+      analysisMode: reportDocument.analysisMode,
+      reproductionSteps: excluded.has('reproductionSteps') ? [] : reportDocument.reproductionSteps,
+      errors: excluded.has('console') ? [] : reportDocument.errors.map(error => ({
+        error: `${error.name}: ${error.message}`,
+        location: ReportModel.getErrorLocation(error),
+        stack: ReportModel.getErrorStackLines(error).slice(0, 10)
+      })),
+      consoleLogs: excluded.has('console') ? [] : reportDocument.consoleLogs.slice(-50).map(log => ReportModel.formatConsoleLog(log)),
+      domErrors: excluded.has('domErrors') ? [] : reportDocument.domErrors,
+      analyzerResults: reportDocument.sections
+        .filter(section => !excluded.has(payloadSectionOf(section)))
+        .map(section => ({
+          title: section.title,
+          summary: section.summary,
+          facts: section.facts,
+          findings: section.findings.slice(0, 20).map(finding => ({
+            severity: finding.severity,
+            title: finding.title,
+            description: finding.description
+          }))
+        }))
+    };
+
+    return [
+      {
+        role: 'user',
+        content: `You are an expert web developer and QA engineer helping a tester with a bug report. This is the data collected from the page:
+
+${JSON.stringify(pageContext, null, 2)}
+
+Write the bug report analysis, then answer my follow-up questions about it. Keep answers concise and specific to this page, and use markdown.`
+      },
+      {
+        role: 'assistant',
+        content: ReportModel.analysisToMarkdown(reportDocument.analysis)
+      }
+    ];
+  }
+
+  // The messages ask() would send for question, e.g. to show them for review first
+  getMessages(question) {
+    return [...this.messages, { role: 'user', content: question }];
+  }
+
+  // Tries the provider's models in order like the analysis does; a failed question leaves the history unchanged
+  async ask(question, { signal } = {}) {
+    const messages = this.getMessages(question);
+    const modelsToTry = this.provider.getModels();
+    let lastError = null;
+
+    for (const model of modelsToTry) {
+      try {
+        const response = await this.provider.chat({ messages, model, signal });
+        if (!response || !response.text) {
+          throw new Error(`Empty response from ${this.provider.label}`);
+        }
+
+        this.messages = [...messages, { role: 'assistant', content: response.text }];
+        return { text: response.text, model: model || null };
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.ReportChat = ReportChat;
+}
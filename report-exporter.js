@@ -0,0 +1,337 @@
+// Standalone report files for sign-off documents: self-contained HTML, print-ready PDF and the raw report JSON.
+// All three start from the same markdown the popup shows (ReportModel.toMarkdown), rendered by MarkdownRenderer.
+//
+// HTML and PDF take { markdown, title, screenshot (data: URL or null) }
+class ReportExporter {
+  // Through chrome.downloads so exports show up in the browser's download list with the rest
+  static async download(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    try {
+      await chrome.downloads.download({ url, filename: fileName });
+    } finally {
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+  }
+
+  static toJSON(reportDocument) {
+    return JSON.stringify(reportDocument, null, 2);
+  }
+
+  // One file with the styles and screenshot inline; every "###" section becomes a collapsible <details> block
+  static toHTML({ markdown, title, screenshot = null }) {
+    const doc = document.implementation.createHTMLDocument(title || 'Bug report');
+    const charset = doc.createElement('meta');
+    charset.setAttribute('charset', 'utf-8');
+    const style = doc.createElement('style');
+    style.textContent = ReportExporter.htmlStyles;
+    doc.head.prepend(charset);
+    doc.head.appendChild(style);
+
+    const main = doc.createElement('main');
+    let section = null;
+    Array.from(MarkdownRenderer.render(markdown, doc).childNodes).forEach(node => {
+      if (/^H[12]$/.test(node.nodeName)) {
+        section = null;
+      } else if (node.nodeName === 'H3') {
+        section = doc.createElement('details');
+        section.open = true;
+        const summary = doc.createElement('summary');
+        summary.appendChild(node);
+        section.appendChild(summary);
+        main.appendChild(section);
+        return;
+      }
+      (section || main).appendChild(node);
+    });
+
+    if (screenshot) {
+      const details = doc.createElement('details');
+      details.open = true;
+      const summary = doc.createElement('summary');
+      const heading = doc.createElement('h3');
+      heading.textContent = 'Screenshot';
+      summary.appendChild(heading);
+      const image = doc.createElement('img');
+      image.src = screenshot;
+      image.alt = 'Screenshot of the analyzed page';
+      details.append(summary, image);
+      main.appendChild(details);
+    }
+
+    const footer = doc.createElement('footer');
+    footer.textContent = `Exported from IssuetrakQAI on ${new Date().toLocaleString()}`;
+    doc.body.append(main, footer);
+
+    return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+  }
+
+  static get htmlStyles() {
+    return `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; line-height: 1.5; color: #1d1d1f; max-width: 900px; margin: 32px auto; padding: 0 24px; }
+h2 { font-size: 22px; border-bottom: 2px solid #e5e5e7; padding-bottom: 6px; }
+h3 { display: inline; font-size: 16px; }
+h4 { font-size: 14px; margin: 16px 0 4px; }
+details { border: 1px solid #e5e5e7; border-radius: 8px; padding: 8px 14px; margin: 12px 0; }
+summary { cursor: pointer; }
+pre { background: #f5f5f7; border-radius: 6px; padding: 10px; white-space: pre-wrap; word-break: break-word; font-size: 12px; }
+code { font-family: 'SF Mono', Monaco, Consolas, monospace; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #e5e5e7; padding: 4px 8px; text-align: left; }
+blockquote { margin: 8px 0; padding-left: 12px; border-left: 3px solid #d2d2d7; color: #515154; }
+img { max-width: 100%; border: 1px solid #e5e5e7; border-radius: 6px; margin-top: 8px; }
+footer { margin-top: 32px; color: #86868b; font-size: 12px; }
+@media print {
+  body { margin: 0; max-width: none; }
+  details { break-inside: avoid-page; }
+}`;
+  }
+
+  static async toPDF({ markdown, title, screenshot = null }) {
+    const pdf = new PdfDocument({ title });
+    const context = { pdf, y: ReportExporter.pdfMargin, width: pdf.pageWidth - 2 * ReportExporter.pdfMargin };
+
+    ReportExporter.writePdfBlocks(context, MarkdownRenderer.parse(markdown), 0);
+
+    if (screenshot) {
+      const jpeg = await ReportExporter.toJpeg(screenshot);
+      const maxHeight = pdf.pageHeight - 2 * ReportExporter.pdfMargin - 30;
+      const scale = Math.min(context.width / jpeg.width, maxHeight / jpeg.height, 1);
+      const width = jpeg.width * scale;
+      const height = jpeg.height * scale;
+
+      ReportExporter.writePdfBlocks(context, [{ type: 'heading', level: 3, children: [{ type: 'text', text: 'Screenshot' }] }], 0);
+      ReportExporter.ensurePdfSpace(context, height);
+      pdf.image(jpeg, ReportExporter.pdfMargin, pdf.pageHeight - context.y - height, width, height);
+      context.y += height;
+    }
+
+    ReportExporter.writePdfPageNumbers(pdf, title);
+    return pdf.output();
+  }
+
+  static get pdfMargin() {
+    return 50;
+  }
+
+  // Console arguments and stack lines can be whole payloads; in the PDF each line is cut here, while the JSON and
+  // bundle keep them whole
+  static get pdfMaxLineLength() {
+    return 2000;
+  }
+
+  static truncatePdfLine(text) {
+    const max = ReportExporter.pdfMaxLineLength;
+    return text.length > max ? `${text.slice(0, max)}… [truncated]` : text;
+  }
+
+  static ensurePdfSpace(context, height) {
+    if (context.y + height > context.pdf.pageHeight - ReportExporter.pdfMargin && context.y > ReportExporter.pdfMargin) {
+      context.pdf.addPage();
+      context.y = ReportExporter.pdfMargin;
+    }
+  }
+
+  // tight leaves out the gap after paragraphs, for text inside list items
+  static writePdfBlocks(context, blocks, indent, tight = false) {
+    const headingSizes = { 1: 18, 2: 16, 3: 13, 4: 11.5, 5: 10.5, 6: 10 };
+    const { pdf } = context;
+
+    blocks.forEach(block => {
+      switch (block.type) {
+        case 'heading': {
+          const size = headingSizes[block.level];
+          context.y += context.y > ReportExporter.pdfMargin ? size * 0.8 : 0;
+          ReportExporter.ensurePdfSpace(context, size * 3);
+          ReportExporter.writePdfRuns(context, ReportExporter.toPdfRuns(block.children, 'bold'), { size, indent });
+          if (block.level <= 2) {
+            const y = pdf.pageHeight - context.y - 2;
+            pdf.line(ReportExporter.pdfMargin + indent, y, ReportExporter.pdfMargin + context.width, y);
+            context.y += 4;
+          }
+          context.y += 2;
+          break;
+        }
+        case 'paragraph':
+          block.lines.forEach(line => ReportExporter.writePdfRuns(context, ReportExporter.toPdfRuns(line, 'regular'), { size: 10, indent }));
+          context.y += tight ? 0 : 5;
+          break;
+        case 'code':
+          ReportExporter.writePdfCode(context, block.text, indent);
+          context.y += 5;
+          break;
+        case 'list':
+          block.items.forEach((item, index) => {
+            const marker = block.ordered ? `${block.start + index}.` : '•';
+            ReportExporter.ensurePdfSpace(context, 14);
+            pdf.text(ReportExporter.pdfMargin + indent + 2, pdf.pageHeight - context.y - 10, PdfDocument.encode(marker), 'regular', 10);
+            ReportExporter.writePdfBlocks(context, item.blocks, indent + 16, true);
+          });
+          context.y += 3;
+          break;
+        case 'table':
+          [block.header, ...block.rows].forEach((cells, rowIndex) => {
+            const runs = [];
+            cells.forEach((cell, column) => {
+              if (column > 0) runs.push({ text: '  |  ', font: 'regular' });
+              runs.push(...ReportExporter.toPdfRuns(cell, rowIndex === 0 ? 'bold' : 'regular'));
+            });
+            ReportExporter.writePdfRuns(context, runs, { size: 9.5, indent });
+          });
+          context.y += 5;
+          break;
+        case 'blockquote':
+          ReportExporter.writePdfBlocks(context, block.blocks, indent + 12);
+          break;
+        case 'rule': {
+          ReportExporter.ensurePdfSpace(context, 12);
+          const y = pdf.pageHeight - context.y - 6;
+          pdf.line(ReportExporter.pdfMargin + indent, y, ReportExporter.pdfMargin + context.width, y);
+          context.y += 12;
+          break;
+        }
+      }
+    });
+  }
+
+  // Inline nodes to [{ text, font }]; links keep their URL in brackets since paper can't be clicked
+  static toPdfRuns(nodes, font) {
+    return nodes.flatMap(node => {
+      switch (node.type) {
+        case 'text':
+          return [{ text: node.text, font }];
+        case 'code':
+          return [{ text: node.text, font: 'mono' }];
+        case 'strong':
+          return ReportExporter.toPdfRuns(node.children, 'bold');
+        case 'em':
+          return ReportExporter.toPdfRuns(node.children, font === 'bold' ? 'bold' : 'italic');
+        case 'link': {
+          const runs = ReportExporter.toPdfRuns(node.children, font);
+          const label = runs.map(run => run.text).join('');
+          return label === node.href ? runs : [...runs, { text: ` (${node.href})`, font: 'regular' }];
+        }
+        default:
+          return ReportExporter.toPdfRuns(node.children || [], font);
+      }
+    });
+  }
+
+  // Word-wraps runs of mixed fonts; words longer than a line are broken wherever they overflow
+  static writePdfRuns(context, runs, { size, indent }) {
+    const { pdf } = context;
+    let remaining = ReportExporter.pdfMaxLineLength;
+    const limitedRuns = [];
+    for (const run of runs) {
+      if (run.text.length > remaining) {
+        limitedRuns.push({ ...run, text: `${run.text.slice(0, remaining)}… [truncated]` });
+        break;
+      }
+      limitedRuns.push(run);
+      remaining -= run.text.length;
+    }
+    const maxWidth = context.width - indent;
+    const leading = size * 1.4;
+    const lines = [[]];
+    let lineWidth = 0;
+
+    const place = (text, font) => {
+      const width = PdfDocument.measure(text, font, size);
+      const line = lines[lines.length - 1];
+      if (/^\s+$/.test(text) && line.length === 0) return;
+
+      if (lineWidth + width > maxWidth && line.length > 0) {
+        lines.push([]);
+        lineWidth = 0;
+        if (/^\s+$/.test(text)) return;
+      }
+
+      // Character widths simply add up, so the breaks are found in one pass over the word
+      if (width > maxWidth) {
+        let start = 0;
+        let pieceWidth = 0;
+        for (let index = 0; index < text.length; index++) {
+          const charWidth = PdfDocument.measure(text[index], font, size);
+          if (pieceWidth + charWidth > maxWidth && index > start) {
+            lines[lines.length - 1].push({ text: text.slice(start, index), font, width: pieceWidth });
+            lines.push([]);
+            start = index;
+            pieceWidth = 0;
+          }
+          pieceWidth += charWidth;
+        }
+        lines[lines.length - 1].push({ text: text.slice(start), font, width: pieceWidth });
+        lineWidth = pieceWidth;
+        return;
+      }
+
+      lines[lines.length - 1].push({ text, font, width });
+      lineWidth += width;
+    };
+
+    limitedRuns.forEach(run => {
+      PdfDocument.encode(run.text).split(/(\s+)/).filter(Boolean).forEach(word => place(word, run.font));
+    });
+
+    lines.forEach(line => {
+      ReportExporter.ensurePdfSpace(context, leading);
+      let x = ReportExporter.pdfMargin + indent;
+      line.forEach(segment => {
+        pdf.text(x, pdf.pageHeight - context.y - size, segment.text, segment.font, size);
+        x += segment.width;
+      });
+      context.y += leading;
+    });
+  }
+
+  static writePdfCode(context, text, indent) {
+    const { pdf } = context;
+    const size = 8.5;
+    const leading = size * 1.35;
+    const charsPerLine = Math.max(20, Math.floor((context.width - indent - 8) / (0.6 * size)));
+    const lines = PdfDocument.encode(text.replace(/\t/g, '    ').split('\n').map(ReportExporter.truncatePdfLine).join('\u0000')).split('\u0000')
+      .flatMap(line => line.length === 0 ? [''] : line.match(new RegExp(`.{1,${charsPerLine}}`, 'g')));
+
+    lines.forEach(line => {
+      ReportExporter.ensurePdfSpace(context, leading);
+      const top = pdf.pageHeight - context.y;
+      pdf.rect(ReportExporter.pdfMargin + indent, top - leading, context.width - indent, leading);
+      pdf.text(ReportExporter.pdfMargin + indent + 4, top - size, line, 'mono', size, 0.15);
+      context.y += leading;
+    });
+  }
+
+  static writePdfPageNumbers(pdf, title) {
+    const footer = PdfDocument.encode(title || '').slice(0, 80);
+    pdf.pages.forEach((page, index) => {
+      const label = `Page ${index + 1} of ${pdf.pages.length}`;
+      pdf.setPage(index);
+      pdf.text(ReportExporter.pdfMargin, 25, footer, 'regular', 8, 0.5);
+      pdf.text(pdf.pageWidth - ReportExporter.pdfMargin - PdfDocument.measure(label, 'regular', 8), 25, label, 'regular', 8, 0.5);
+    });
+  }
+
+  // PDF images here are JPEG only; the screenshot is flattened onto white first
+  static async toJpeg(dataUrl) {
+    const image = new Image();
+    image.src = dataUrl;
+    await image.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0);
+
+    return {
+      data: atob(canvas.toDataURL('image/jpeg', 0.85).split(',')[1]),
+      width: canvas.width,
+      height: canvas.height
+    };
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.ReportExporter = ReportExporter;
+}
@@ -0,0 +1,134 @@
+class ReportHistory {
+  constructor(options = {}) {
+    this.storage = options.storage || chrome.storage.local;
+    this.maxReports = options.maxReports || 200;
+    this.indexKey = 'reportHistoryIndex';
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Summaries live in one index for fast listing; full reports are stored under their own keys
+  // severityLevel is re-derived so reports saved before the levels matched ReportModel filter the same way
+  async list() {
+    const data = await this.storage.get(this.indexKey);
+    return (data[this.indexKey] || []).map(item => ({
+      ...item,
+      severityLevel: ReportModel.normalizeSeverity(item.severity)
+    }));
+  }
+
+  async get(id) {
+    const key = this.getReportKey(id);
+    const data = await this.storage.get(key);
+    return data[key] || null;
+  }
+
+  save(entry) {
+    return this.enqueue(async () => {
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const record = {
+        id,
+        url: entry.url || '',
+        domain: ReportHistory.getDomain(entry.url),
+        title: entry.title || entry.url || 'Untitled page',
+        timestamp: entry.timestamp || new Date().toISOString(),
+        severity: entry.analysis?.severity || 'unknown',
+        severityLevel: ReportModel.normalizeSeverity(entry.analysis?.severity),
+        category: entry.analysis?.category || 'uncategorized',
+        summary: entry.analysis?.summary || '',
+        analysisMode: entry.analysisMode || 'general',
+        report: entry.report,
+        reportDocument: entry.reportDocument || null,
+        analysis: entry.analysis || null,
+        analyzerData: entry.analyzerData || null
+      };
+
+      const index = await this.list();
+      const { report, reportDocument, analysis, analyzerData, ...summary } = record;
+      index.unshift(summary);
+
+      const removed = index.splice(this.maxReports);
+      await this.storage.set({
+        [this.indexKey]: index,
+        [this.getReportKey(id)]: record
+      });
+
+      if (removed.length > 0) {
+        await this.storage.remove(removed.map(item => this.getReportKey(item.id)));
+      }
+
+      return record;
+    });
+  }
+
+  // Merges changes into a saved report, e.g. follow-up notes added after it was generated
+  update(id, changes) {
+    return this.enqueue(async () => {
+      const record = await this.get(id);
+      if (!record) return null;
+
+      const updated = { ...record, ...changes, id };
+      await this.storage.set({ [this.getReportKey(id)]: updated });
+      return updated;
+    });
+  }
+
+  delete(id) {
+    return this.enqueue(async () => {
+      const index = await this.list();
+      await this.storage.set({ [this.indexKey]: index.filter(item => item.id !== id) });
+      await this.storage.remove(this.getReportKey(id));
+    });
+  }
+
+  clear() {
+    return this.enqueue(async () => {
+      const index = await this.list();
+      await this.storage.remove([this.indexKey, ...index.map(item => this.getReportKey(item.id))]);
+    });
+  }
+
+  // filters: { query, domain, severity, from, to } where from/to are YYYY-MM-DD dates
+  filter(index, filters = {}) {
+    const query = (filters.query || '').trim().toLowerCase();
+    const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+    const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+
+    return index.filter(item => {
+      if (filters.domain && item.domain !== filters.domain) return false;
+      if (filters.severity && item.severityLevel !== filters.severity) return false;
+
+      const created = new Date(item.timestamp);
+      if (from && created < from) return false;
+      if (to && created > to) return false;
+
+      if (query) {
+        const haystack = [item.title, item.url, item.summary, item.category, item.severity].join(' ').toLowerCase();
+        if (!haystack.includes(query)) return false;
+      }
+
+      return true;
+    });
+  }
+
+  enqueue(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  getReportKey(id) {
+    return `report_${id}`;
+  }
+
+  static getDomain(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return 'unknown';
+    }
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.ReportHistory = ReportHistory;
+}
@@ -0,0 +1,432 @@
+// Versioned report document shared by every analyzer. Markdown, HTML and ticket payloads are all rendered from it.
+//
+// Schema (version 1):
+// {
+//   schemaVersion: 1,
+//   generatedAt: ISO string,
+//   page: { url, title },
+//   analysisMode: 'general' | 'performance' | 'react' | 'security' | 'accessibility',
+//   analysis: { engine: 'gemini' | 'openai' | 'custom' | 'pattern', provider, model, header, summary, severity, severityConfidence, category,
+//               categoryConfidence, priority, rootCause, userImpact, technicalDetails, suggestedFix, analysisType,
+//               findings: [AnalysisFinding],
+//               excludedSections: [string] - AIBugAnalyzer.payloadSections ids left out of the AI request at review,
+//               aiError: { status: 'invalid' | 'failed' | 'declined', message, validationErrors } - set when a pattern report replaced an AI run },
+//   sections: [{ id, source, title, summary, facts: [{ label, value }], findings: [Finding] }],
+//   reproductionSteps: [string],
+//   errors: [{ name, message, file, line, column, stack, frames, sourceMapped }],
+//   consoleLogs: [{ method, args, timestamp }],
+//   domErrors: [string],
+//   notes: [{ question, answer, provider, model, addedAt }] - follow-up chat answers added to the report,
+//   redactions: [{ id, label, count, examples }] - what redaction.js masked before the report left the page
+// }
+//
+// Finding: { id, source, category, severity: 'critical' | 'high' | 'medium' | 'low' | 'info',
+//            title, description, evidence: [string], recommendation }
+//
+// AnalysisFinding (AI only, ranked; the analysis' own severity, rootCause etc. mirror the first one):
+//   { rank, title, severity, severityConfidence, category, categoryConfidence, summary, rootCause,
+//     userImpact, technicalDetails, suggestedFix, priority, evidence: [string] }
+class ReportModel {
+  static get schemaVersion() {
+    return 1;
+  }
+
+  static get severities() {
+    return ['critical', 'high', 'medium', 'low', 'info'];
+  }
+
+  static get modeLabels() {
+    return {
+      general: 'Full Analysis',
+      performance: 'Performance Audit',
+      react: 'React Analysis',
+      security: 'Security Scan',
+      accessibility: 'Accessibility Check'
+    };
+  }
+
+  static create(fields) {
+    const sections = (fields.sections || []).filter(Boolean).map(section => ReportModel.normalizeSection(section));
+
+    return {
+      schemaVersion: ReportModel.schemaVersion,
+      generatedAt: fields.generatedAt || new Date().toISOString(),
+      page: {
+        url: fields.page?.url || '',
+        title: fields.page?.title || ''
+      },
+      analysisMode: fields.analysisMode || 'general',
+      analysis: { engine: 'pattern', ...fields.analysis },
+      sections,
+      reproductionSteps: fields.reproductionSteps || [],
+      errors: fields.errors || [],
+      consoleLogs: fields.consoleLogs || [],
+      domErrors: fields.domErrors || [],
+      notes: fields.notes || [],
+      redactions: fields.redactions || []
+    };
+  }
+
+  // Returns a copy, so a report already handed to history or a ticket isn't changed underneath it
+  static addNote(reportDocument, note) {
+    return {
+      ...reportDocument,
+      notes: [...(reportDocument.notes || []), { addedAt: new Date().toISOString(), ...note }]
+    };
+  }
+
+  static normalizeSection(section) {
+    const source = section.source || section.id;
+
+    return {
+      id: section.id,
+      source,
+      title: section.title || section.id,
+      summary: section.summary || null,
+      facts: (section.facts || []).filter(fact => fact && fact.value !== undefined && fact.value !== null && fact.value !== ''),
+      findings: (section.findings || []).map((finding, index) => ({
+        id: finding.id || `${section.id}-${index + 1}`,
+        source,
+        category: finding.category || section.id,
+        severity: ReportModel.normalizeSeverity(finding.severity),
+        title: finding.title || 'Finding',
+        description: finding.description || '',
+        evidence: (finding.evidence || []).filter(Boolean).map(String),
+        recommendation: finding.recommendation || null
+      }))
+    };
+  }
+
+  // Maps the vocabularies in use (Gemini levels, React priorities, pattern labels) onto the schema's levels
+  static normalizeSeverity(severity) {
+    const value = String(severity || '').toLowerCase();
+    if (value.includes('critical')) return 'critical';
+    if (value.includes('high')) return 'high';
+    if (value.includes('medium') || value.includes('warning')) return 'medium';
+    if (value.includes('low') || value.includes('minor')) return 'low';
+    return 'info';
+  }
+
+  static getFindings(reportDocument) {
+    const order = ReportModel.severities;
+    return reportDocument.sections
+      .flatMap(section => section.findings)
+      .sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+  }
+
+  static getSeverityIcon(severity) {
+    return { critical: '🔴', high: '🟠', medium: '🟡', low: '🟢', info: '🔵' }[severity] || '•';
+  }
+
+  static getAnalysisTitle(analysis) {
+    if (analysis.engine === 'pattern') return 'Pattern Analysis';
+    if (analysis.engine === 'gemini') return 'Gemini AI Analysis';
+    return `AI Analysis (${analysis.provider || analysis.engine})`;
+  }
+
+  // With ranked findings the per-issue fields move onto each finding, leaving only the overview
+  static getAnalysisFields(analysis) {
+    if (ReportModel.getAnalysisFindings(analysis).length > 0) {
+      return [{ label: 'Summary', value: analysis.summary }].filter(field => field.value);
+    }
+
+    const withConfidence = (value, confidence) => confidence ? `${value} (${confidence}% confidence)` : value;
+
+    return [
+      { label: 'Summary', value: analysis.summary },
+      { label: 'Severity', value: analysis.severity && withConfidence(analysis.severity, analysis.severityConfidence) },
+      { label: 'Category', value: analysis.category && withConfidence(analysis.category, analysis.categoryConfidence) },
+      { label: 'Priority', value: analysis.priority },
+      { label: 'Root Cause', value: analysis.rootCause },
+      { label: 'User Impact', value: analysis.userImpact },
+      { label: 'Suggested Fix', value: analysis.suggestedFix },
+      { label: 'Technical Details', value: analysis.technicalDetails }
+    ].filter(field => field.value);
+  }
+
+  static getAiErrorNotice(analysis) {
+    if (!analysis.aiError) return null;
+
+    const notices = {
+      invalid: `⚠️ AI response invalid - the model's answer did not match the expected format, so this report uses pattern analysis instead (${analysis.aiError.message})`,
+      declined: 'ℹ️ AI request not sent - it was declined at review, so this report uses pattern analysis instead',
+      failed: `⚠️ AI analysis failed, so this report uses pattern analysis instead (${analysis.aiError.message})`
+    };
+    return notices[analysis.aiError.status] || notices.failed;
+  }
+
+  static getAnalysisFindings(analysis) {
+    return Array.isArray(analysis.findings) ? analysis.findings : [];
+  }
+
+  static getAnalysisFindingTitle(finding) {
+    return `${finding.rank}. ${ReportModel.getSeverityIcon(ReportModel.normalizeSeverity(finding.severity))} ${finding.title}`;
+  }
+
+  static getAnalysisFindingFields(finding) {
+    const withConfidence = (value, confidence) => confidence ? `${value} (${confidence}% confidence)` : value;
+
+    return [
+      { label: 'Severity', value: finding.severity && withConfidence(finding.severity, finding.severityConfidence) },
+      { label: 'Category', value: finding.category && withConfidence(finding.category, finding.categoryConfidence) },
+      { label: 'Priority', value: finding.priority },
+      { label: 'Summary', value: finding.summary },
+      { label: 'Root Cause', value: finding.rootCause },
+      { label: 'User Impact', value: finding.userImpact },
+      { label: 'Suggested Fix', value: finding.suggestedFix },
+      { label: 'Technical Details', value: finding.technicalDetails }
+    ].filter(field => field.value);
+  }
+
+  static getPageFields(reportDocument) {
+    return [
+      { label: 'URL', value: reportDocument.page.url },
+      { label: 'Page Title', value: reportDocument.page.title },
+      { label: 'Timestamp', value: reportDocument.generatedAt },
+      { label: 'Analysis Mode', value: ReportModel.modeLabels[reportDocument.analysisMode] || reportDocument.analysisMode },
+      { label: 'Analysis Type', value: reportDocument.analysis.analysisType },
+      { label: 'Model', value: reportDocument.analysis.model }
+    ].filter(field => field.value);
+  }
+
+  static getRecommendations(section) {
+    return [...new Set(section.findings.map(finding => finding.recommendation).filter(Boolean))];
+  }
+
+  static formatFrame(frame) {
+    if (frame.original) {
+      const name = frame.original.name || frame.functionName;
+      return `at ${name} (${frame.original.file}:${frame.original.line}:${frame.original.column})`;
+    }
+    return `at ${frame.functionName} (${frame.file}:${frame.line}:${frame.column})`;
+  }
+
+  static getErrorLocation(error) {
+    const topFrame = error.frames && error.frames[0];
+    if (topFrame && topFrame.original) {
+      return `${topFrame.original.file}:${topFrame.original.line}:${topFrame.original.column}`;
+    }
+    return error.file ? `${error.file}:${error.line}:${error.column}` : null;
+  }
+
+  static getErrorStackLines(error) {
+    if (error.frames && error.frames.length > 0) {
+      const lines = error.frames.map(frame => ReportModel.formatFrame(frame));
+      if (error.sourceMapped) {
+        lines.push('(resolved via source maps)');
+      }
+      return lines;
+    }
+    return error.stack ? error.stack.split('\n').slice(1, 11).map(line => line.trim()) : [];
+  }
+
+  // Page titles, console output, DOM text and analyzer evidence come from the inspected site. Escaping them keeps a
+  // title like "[Log in](https://phish.example)" or a console line starting with "# " as the text it was.
+  // URLs become <autolinks> instead, since backslashes inside a bare URL would end up in the link.
+  static escapeMarkdown(value) {
+    const text = String(value ?? '');
+    if (/^https?:\/\/[^\s<>]+$/i.test(text)) {
+      return `<${text}>`;
+    }
+
+    const escapeInline = part => part.replace(/[\\`*_~[\]<>|]/g, '\\$&');
+    let escaped = '';
+    let last = 0;
+
+    for (const match of text.matchAll(/(?<![A-Za-z0-9])https?:\/\/[^\s<>]*[^\s<>.,:;"')\]!?*_~]/gi)) {
+      escaped += `${escapeInline(text.slice(last, match.index))}<${match[0]}>`;
+      last = match.index + match[0].length;
+    }
+    escaped += escapeInline(text.slice(last));
+
+    return escaped
+      .replace(/^(\s*)([#+=-])/gm, '$1\\$2')
+      .replace(/^(\s*\d+)([.)])/gm, '$1\\$2');
+  }
+
+  // Evidence is shown as an indented code block, which every one of its lines has to stay inside
+  static indentCode(value) {
+    return `    ${String(value ?? '').replace(/\n/g, '\n    ')}`;
+  }
+
+  static formatConsoleLog(log) {
+    const time = log.timestamp ? `${log.timestamp.slice(11, 23)} ` : '';
+    return `${time}[${log.method.toUpperCase()}] ${log.args.join(' ')}`;
+  }
+
+  // Headline, overview and ranked AI findings; also replayed as the first answer in follow-up chats
+  static analysisToMarkdown(analysis) {
+    let markdown = `${analysis.header || `## ${analysis.summary || 'Bug Report'}`}\n\n`;
+
+    markdown += `### ${ReportModel.getAnalysisTitle(analysis)}\n`;
+    const aiErrorNotice = ReportModel.getAiErrorNotice(analysis);
+    if (aiErrorNotice) {
+      markdown += `**AI Status:** ${aiErrorNotice}\n`;
+    }
+    ReportModel.getAnalysisFields(analysis).forEach(field => {
+      markdown += `**${field.label}:** ${field.value}\n`;
+    });
+    markdown += '\n';
+
+    ReportModel.getAnalysisFindings(analysis).forEach(finding => {
+      markdown += `#### ${ReportModel.getAnalysisFindingTitle(finding)}\n`;
+      ReportModel.getAnalysisFindingFields(finding).forEach(field => {
+        markdown += `**${field.label}:** ${field.value}\n`;
+      });
+      if (finding.evidence.length > 0) {
+        markdown += '**Evidence:**\n';
+        finding.evidence.forEach(item => {
+          markdown += `${ReportModel.indentCode(item)}\n`;
+        });
+      }
+      markdown += '\n';
+    });
+
+    return markdown;
+  }
+
+  static toMarkdown(reportDocument) {
+    let markdown = ReportModel.analysisToMarkdown(reportDocument.analysis);
+
+    reportDocument.sections.forEach(section => {
+      markdown += `### ${section.title}\n`;
+      if (section.summary) {
+        markdown += `**Status:** ${ReportModel.escapeMarkdown(section.summary)}\n`;
+      }
+      section.facts.forEach(fact => {
+        markdown += `**${fact.label}:** ${ReportModel.escapeMarkdown(fact.value)}\n`;
+      });
+
+      if (section.findings.length > 0) {
+        markdown += `\n**Findings:**\n`;
+        section.findings.forEach(finding => {
+          markdown += `${ReportModel.getSeverityIcon(finding.severity)} ${ReportModel.escapeMarkdown(finding.title)}: ${ReportModel.escapeMarkdown(finding.description)}\n`;
+          finding.evidence.slice(0, 3).forEach(item => {
+            markdown += `${ReportModel.indentCode(item)}\n`;
+          });
+        });
+      }
+
+      const recommendations = ReportModel.getRecommendations(section);
+      if (recommendations.length > 0) {
+        markdown += `\n**Recommendations:**\n`;
+        recommendations.forEach(recommendation => {
+          markdown += `• ${ReportModel.escapeMarkdown(recommendation)}\n`;
+        });
+      }
+      markdown += '\n';
+    });
+
+    const notes = reportDocument.notes || [];
+    if (notes.length > 0) {
+      markdown += '### 💬 Follow-up Notes\n';
+      notes.forEach(note => {
+        markdown += `**Q:** ${note.question}\n${note.answer}\n\n`;
+      });
+    }
+
+    ReportModel.getPageFields(reportDocument).forEach(field => {
+      markdown += `**${field.label}:** ${ReportModel.escapeMarkdown(field.value)}\n`;
+    });
+    markdown += '\n';
+
+    if (reportDocument.reproductionSteps.length > 0) {
+      markdown += '### Steps to Reproduce\n';
+      reportDocument.reproductionSteps.forEach((step, index) => {
+        markdown += `${index + 1}. ${ReportModel.escapeMarkdown(step)}\n`;
+      });
+      markdown += '\n';
+    }
+
+    if (reportDocument.errors.length > 0) {
+      markdown += '### Error Stack Traces\n';
+      reportDocument.errors.forEach(error => {
+        const location = ReportModel.getErrorLocation(error);
+        markdown += `**${ReportModel.escapeMarkdown(`${error.name}: ${error.message}`)}**${location ? ` (${ReportModel.escapeMarkdown(location)})` : ''}\n`;
+        ReportModel.getErrorStackLines(error).forEach(line => {
+          markdown += `${ReportModel.indentCode(line)}\n`;
+        });
+        markdown += '\n';
+      });
+    }
+
+    markdown += '### Console Activity\n';
+    if (reportDocument.consoleLogs.length > 0) {
+      reportDocument.consoleLogs.forEach(log => {
+        markdown += `${ReportModel.escapeMarkdown(ReportModel.formatConsoleLog(log))}\n`;
+      });
+    } else {
+      markdown += 'No console activity detected.\n';
+    }
+    markdown += '\n';
+
+    markdown += '### Page Issues\n';
+    if (reportDocument.domErrors.length > 0) {
+      reportDocument.domErrors.forEach(error => {
+        markdown += `- ${ReportModel.escapeMarkdown(error)}\n`;
+      });
+    } else {
+      markdown += 'No obvious page issues found.\n';
+    }
+    markdown += '\n';
+
+    return markdown;
+  }
+
+  // Tracker-neutral ticket fields; each tracker client maps these onto its own API payload
+  static toTicket(reportDocument) {
+    const analysis = reportDocument.analysis;
+    const findings = ReportModel.getFindings(reportDocument);
+
+    return {
+      title: String(analysis.summary || reportDocument.page.title || 'Bug report').replace(/\s+/g, ' ').trim(),
+      category: analysis.category || null,
+      severity: ReportModel.normalizeSeverity(analysis.severity),
+      priority: analysis.priority || null,
+      description: ReportModel.toMarkdown(reportDocument),
+      url: reportDocument.page.url,
+      labels: [...new Set([reportDocument.analysisMode, ...reportDocument.sections.map(section => section.id)])],
+      findings: findings.slice(0, 10).map(finding => ({
+        title: finding.title,
+        severity: finding.severity,
+        source: finding.source
+      }))
+    };
+  }
+
+  // Ticket for one ranked AI finding, carrying the page context but not the other findings or analyzer sections
+  static toAnalysisFindingTicket(reportDocument, rank) {
+    const finding = ReportModel.getAnalysisFindings(reportDocument.analysis).find(item => item.rank === rank);
+    if (!finding) {
+      throw new Error(`Report has no finding #${rank}`);
+    }
+
+    const findingDocument = {
+      ...reportDocument,
+      analysis: {
+        engine: reportDocument.analysis.engine,
+        provider: reportDocument.analysis.provider,
+        model: reportDocument.analysis.model,
+        analysisType: reportDocument.analysis.analysisType,
+        header: `## ${finding.title}`,
+        severity: finding.severity,
+        category: finding.category,
+        priority: finding.priority,
+        findings: [finding]
+      },
+      sections: [],
+      notes: []
+    };
+
+    return {
+      ...ReportModel.toTicket(findingDocument),
+      title: finding.title,
+      labels: [reportDocument.analysisMode, 'ai-finding'],
+      findings: []
+    };
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.ReportModel = ReportModel;
+}
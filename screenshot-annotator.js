@@ -0,0 +1,275 @@
+class ScreenshotAnnotator {
+  constructor(canvas, imageDataUrl) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.imageDataUrl = imageDataUrl;
+    this.image = null;
+    this.annotations = [];
+    this.tool = 'rect';
+    this.color = '#ff3b30';
+    this.lineWidth = 4;
+    this.draft = null;
+    this.textInput = null;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+  }
+
+  async load() {
+    this.image = await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Failed to load screenshot for annotation'));
+      image.src = this.imageDataUrl;
+    });
+
+    this.canvas.width = this.image.naturalWidth;
+    this.canvas.height = this.image.naturalHeight;
+    // Screenshots are captured at device pixel ratio, so scale strokes and text to match
+    this.lineWidth = Math.max(3, Math.round(this.image.naturalWidth / 400));
+
+    this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+    this.canvas.addEventListener('pointermove', this.handlePointerMove);
+    this.canvas.addEventListener('pointerup', this.handlePointerUp);
+    this.canvas.addEventListener('pointerleave', this.handlePointerUp);
+
+    this.render();
+  }
+
+  destroy() {
+    this.commitTextInput();
+    this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+    this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+    this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+    this.canvas.removeEventListener('pointerleave', this.handlePointerUp);
+  }
+
+  setTool(tool) {
+    this.commitTextInput();
+    this.tool = tool;
+  }
+
+  setColor(color) {
+    this.color = color;
+  }
+
+  undo() {
+    this.commitTextInput();
+    this.annotations.pop();
+    this.render();
+  }
+
+  clear() {
+    this.commitTextInput();
+    this.annotations = [];
+    this.render();
+  }
+
+  hasAnnotations() {
+    return this.annotations.length > 0;
+  }
+
+  // Returns the screenshot with every annotation burned into the pixels
+  flatten() {
+    this.commitTextInput();
+    this.render();
+    return this.canvas.toDataURL('image/png');
+  }
+
+  getCanvasPoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (this.canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (this.canvas.height / rect.height)
+    };
+  }
+
+  handlePointerDown(event) {
+    if (!this.image) return;
+    const point = this.getCanvasPoint(event);
+
+    if (this.tool === 'text') {
+      this.commitTextInput();
+      this.openTextInput(event, point);
+      return;
+    }
+
+    this.canvas.setPointerCapture(event.pointerId);
+    this.draft = {
+      type: this.tool,
+      color: this.color,
+      lineWidth: this.lineWidth,
+      start: point,
+      end: point,
+      points: [point]
+    };
+  }
+
+  handlePointerMove(event) {
+    if (!this.draft) return;
+    const point = this.getCanvasPoint(event);
+
+    this.draft.end = point;
+    if (this.draft.type === 'pen') {
+      this.draft.points.push(point);
+    }
+
+    this.render();
+  }
+
+  handlePointerUp() {
+    if (!this.draft) return;
+
+    const { start, end, type } = this.draft;
+    const isClick = Math.abs(end.x - start.x) < 3 && Math.abs(end.y - start.y) < 3;
+
+    if (!isClick || (type === 'pen' && this.draft.points.length > 2)) {
+      this.annotations.push(this.draft);
+    }
+
+    this.draft = null;
+    this.render();
+  }
+
+  openTextInput(event, point) {
+    const container = this.canvas.parentElement;
+    const containerRect = container.getBoundingClientRect();
+    const input = document.createElement('input');
+
+    input.type = 'text';
+    input.className = 'annotation-text-input';
+    input.placeholder = 'Label text';
+    input.style.left = `${event.clientX - containerRect.left + container.scrollLeft}px`;
+    input.style.top = `${event.clientY - containerRect.top + container.scrollTop}px`;
+    input.style.color = this.color;
+
+    input.addEventListener('keydown', (keyEvent) => {
+      if (keyEvent.key === 'Enter') {
+        this.commitTextInput();
+      } else if (keyEvent.key === 'Escape') {
+        input.value = '';
+        this.commitTextInput();
+      }
+      keyEvent.stopPropagation();
+    });
+    input.addEventListener('blur', () => this.commitTextInput());
+
+    this.textInput = { element: input, point, color: this.color };
+    container.appendChild(input);
+    input.focus();
+  }
+
+  commitTextInput() {
+    if (!this.textInput) return;
+
+    const { element, point, color } = this.textInput;
+    const text = element.value.trim();
+    this.textInput = null;
+    element.remove();
+
+    if (text) {
+      this.annotations.push({
+        type: 'text',
+        color,
+        text,
+        fontSize: this.lineWidth * 6,
+        start: point
+      });
+      this.render();
+    }
+  }
+
+  render() {
+    if (!this.image) return;
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.drawImage(this.image, 0, 0);
+
+    // Redaction boxes first so outlines and labels drawn over them stay readable
+    const shapes = this.draft ? [...this.annotations, this.draft] : this.annotations;
+    shapes.filter(shape => shape.type === 'blur').forEach(shape => this.drawBlur(shape));
+    shapes.filter(shape => shape.type !== 'blur').forEach(shape => this.drawShape(shape));
+  }
+
+  drawShape(shape) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle = shape.color;
+    ctx.lineWidth = shape.lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    if (shape.type === 'rect') {
+      const rect = this.normalizeRect(shape.start, shape.end);
+      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    } else if (shape.type === 'arrow') {
+      this.drawArrow(shape);
+    } else if (shape.type === 'pen') {
+      ctx.beginPath();
+      shape.points.forEach((point, index) => {
+        if (index === 0) {
+          ctx.moveTo(point.x, point.y);
+        } else {
+          ctx.lineTo(point.x, point.y);
+        }
+      });
+      ctx.stroke();
+    } else if (shape.type === 'text') {
+      ctx.font = `bold ${shape.fontSize}px 'Segoe UI', sans-serif`;
+      ctx.textBaseline = 'top';
+      ctx.lineWidth = Math.max(2, shape.fontSize / 8);
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+      ctx.strokeText(shape.text, shape.start.x, shape.start.y);
+      ctx.fillText(shape.text, shape.start.x, shape.start.y);
+    }
+
+    ctx.restore();
+  }
+
+  drawArrow(shape) {
+    const ctx = this.ctx;
+    const { start, end } = shape;
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const headLength = shape.lineWidth * 5;
+
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(end.x, end.y);
+    ctx.lineTo(end.x - headLength * Math.cos(angle - Math.PI / 6), end.y - headLength * Math.sin(angle - Math.PI / 6));
+    ctx.lineTo(end.x - headLength * Math.cos(angle + Math.PI / 6), end.y - headLength * Math.sin(angle + Math.PI / 6));
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  // Redaction boxes are filled solid: pixelated text can be reconstructed, a flat fill leaves nothing to recover
+  drawBlur(shape) {
+    const rect = this.normalizeRect(shape.start, shape.end);
+    if (rect.width < 1 || rect.height < 1) return;
+
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.fillStyle = '#1d1d1f';
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.restore();
+  }
+
+  normalizeRect(start, end) {
+    return {
+      x: Math.min(start.x, end.x),
+      y: Math.min(start.y, end.y),
+      width: Math.abs(end.x - start.x),
+      height: Math.abs(end.y - start.y)
+    };
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.ScreenshotAnnotator = ScreenshotAnnotator;
+}
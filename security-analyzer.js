@@ -0,0 +1,272 @@
+class SecurityAnalyzer {
+  constructor() {
+    this.findings = {
+      transport: [],
+      forms: [],
+      scripts: [],
+      links: [],
+      storage: [],
+      headers: []
+    };
+  }
+
+  async analyzeSecurity() {
+    this.analyzeTransport();
+    this.analyzeForms();
+    this.analyzeScripts();
+    this.analyzeLinks();
+    this.analyzeClientStorage();
+    this.analyzeSecurityHeaders();
+
+    return this.generateReport();
+  }
+
+  analyzeTransport() {
+    if (window.location.protocol !== 'https:') {
+      this.findings.transport.push({
+        type: 'Insecure Transport',
+        severity: 'high',
+        issue: 'Page is served over HTTP - traffic can be read and modified in transit'
+      });
+      return;
+    }
+
+    // Mixed content: subresources loaded over http on an https page
+    const insecureResources = Array.from(document.querySelectorAll('script[src], link[href], img[src], iframe[src]'))
+      .map(element => element.src || element.href)
+      .filter(url => url && url.startsWith('http://'));
+
+    if (insecureResources.length > 0) {
+      this.findings.transport.push({
+        type: 'Mixed Content',
+        severity: 'medium',
+        count: insecureResources.length,
+        issue: `${insecureResources.length} resources loaded over HTTP on an HTTPS page`,
+        examples: insecureResources.slice(0, 3)
+      });
+    }
+  }
+
+  analyzeForms() {
+    document.querySelectorAll('form').forEach((form, index) => {
+      const action = form.getAttribute('action') || '';
+      const hasPassword = form.querySelector('input[type="password"]');
+
+      if (action.startsWith('http://')) {
+        this.findings.forms.push({
+          type: 'Insecure Form Action',
+          severity: hasPassword ? 'critical' : 'high',
+          issue: `Form #${index + 1} submits to an HTTP URL${hasPassword ? ' including a password' : ''}`
+        });
+      }
+
+      if (hasPassword && (form.method || 'get').toLowerCase() === 'get') {
+        this.findings.forms.push({
+          type: 'Password in URL',
+          severity: 'high',
+          issue: `Form #${index + 1} sends a password with GET - it will appear in URLs and logs`
+        });
+      }
+
+      const stateChanging = (form.method || '').toLowerCase() === 'post';
+      const csrfToken = form.querySelector('input[type="hidden"][name*="csrf" i], input[type="hidden"][name*="token" i], input[name="__RequestVerificationToken"]');
+      if (stateChanging && !csrfToken) {
+        this.findings.forms.push({
+          type: 'Missing CSRF Token',
+          severity: 'medium',
+          issue: `POST form #${index + 1} has no visible anti-CSRF token field`
+        });
+      }
+    });
+
+    const autocompletePasswords = document.querySelectorAll('input[type="password"]:not([autocomplete="new-password"]):not([autocomplete="current-password"]):not([autocomplete="off"])');
+    if (autocompletePasswords.length > 0) {
+      this.findings.forms.push({
+        type: 'Password Autocomplete',
+        severity: 'low',
+        issue: 'Password fields do not declare an autocomplete purpose (current-password/new-password)'
+      });
+    }
+  }
+
+  analyzeScripts() {
+    const pageOrigin = window.location.origin;
+    const thirdPartyWithoutSri = Array.from(document.querySelectorAll('script[src]')).filter(script => {
+      try {
+        return new URL(script.src).origin !== pageOrigin && !script.integrity;
+      } catch {
+        return false;
+      }
+    });
+
+    if (thirdPartyWithoutSri.length > 0) {
+      this.findings.scripts.push({
+        type: 'Missing Subresource Integrity',
+        severity: 'medium',
+        count: thirdPartyWithoutSri.length,
+        issue: `${thirdPartyWithoutSri.length} third-party scripts load without an integrity hash`,
+        examples: thirdPartyWithoutSri.slice(0, 3).map(script => script.src)
+      });
+    }
+
+    const inlineHandlers = document.querySelectorAll('[onclick], [onload], [onerror], [onmouseover], [onfocus]');
+    if (inlineHandlers.length > 0) {
+      this.findings.scripts.push({
+        type: 'Inline Event Handlers',
+        severity: 'low',
+        count: inlineHandlers.length,
+        issue: `${inlineHandlers.length} inline event handlers prevent a strict Content Security Policy`
+      });
+    }
+
+    const javascriptUrls = document.querySelectorAll('a[href^="javascript:" i], iframe[src^="javascript:" i]');
+    if (javascriptUrls.length > 0) {
+      this.findings.scripts.push({
+        type: 'javascript: URLs',
+        severity: 'low',
+        count: javascriptUrls.length,
+        issue: `${javascriptUrls.length} elements use javascript: URLs`
+      });
+    }
+  }
+
+  analyzeLinks() {
+    const unsafeBlankLinks = Array.from(document.querySelectorAll('a[target="_blank"][href]')).filter(link => {
+      const rel = (link.getAttribute('rel') || '').toLowerCase();
+      return !rel.includes('noopener') && !rel.includes('noreferrer');
+    });
+
+    if (unsafeBlankLinks.length > 0) {
+      this.findings.links.push({
+        type: 'Reverse Tabnabbing',
+        severity: 'low',
+        count: unsafeBlankLinks.length,
+        issue: `${unsafeBlankLinks.length} target="_blank" links without rel="noopener"`
+      });
+    }
+  }
+
+  analyzeClientStorage() {
+    // Cookies visible to document.cookie are not HttpOnly
+    const sessionCookies = document.cookie.split(';')
+      .map(cookie => cookie.trim().split('=')[0])
+      .filter(name => /sess|auth|token|jwt|sid/i.test(name));
+
+    if (sessionCookies.length > 0) {
+      this.findings.storage.push({
+        type: 'Session Cookie Readable by JavaScript',
+        severity: 'high',
+        issue: `Cookies ${sessionCookies.join(', ')} are not HttpOnly and can be stolen through XSS`
+      });
+    }
+
+    try {
+      const tokenKeys = Object.keys(window.localStorage).filter(key => /token|jwt|auth|secret|password/i.test(key));
+      if (tokenKeys.length > 0) {
+        this.findings.storage.push({
+          type: 'Credentials in localStorage',
+          severity: 'medium',
+          issue: `localStorage keys ${tokenKeys.slice(0, 5).join(', ')} look like credentials - readable by any script on the page`
+        });
+      }
+    } catch (error) {
+      // Storage can be blocked by browser privacy settings
+    }
+  }
+
+  analyzeSecurityHeaders() {
+    const cspMeta = document.querySelector('meta[http-equiv="Content-Security-Policy" i]');
+    if (!cspMeta) {
+      this.findings.headers.push({
+        type: 'Content Security Policy',
+        severity: 'medium',
+        issue: 'No Content-Security-Policy meta tag found (response headers are not visible to the extension)'
+      });
+    } else if (/unsafe-inline|unsafe-eval/.test(cspMeta.content)) {
+      this.findings.headers.push({
+        type: 'Weak Content Security Policy',
+        severity: 'medium',
+        issue: 'CSP allows unsafe-inline or unsafe-eval'
+      });
+    }
+
+    const referrerPolicy = document.querySelector('meta[name="referrer"]');
+    if (referrerPolicy && /unsafe-url/i.test(referrerPolicy.content)) {
+      this.findings.headers.push({
+        type: 'Referrer Policy',
+        severity: 'low',
+        issue: 'referrer policy "unsafe-url" leaks full URLs to other sites'
+      });
+    }
+  }
+
+  generateReport() {
+    const issues = Object.values(this.findings).flat();
+    const severityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
+    issues.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+
+    const groupRecommendations = this.getGroupRecommendations();
+    const recommendations = Object.keys(this.findings)
+      .filter(group => this.findings[group].length > 0 && groupRecommendations[group])
+      .map(group => groupRecommendations[group]);
+
+    const critical = issues.filter(issue => issue.severity === 'critical' || issue.severity === 'high').length;
+
+    return {
+      issues,
+      recommendations,
+      summary: issues.length === 0
+        ? 'No client-side security issues detected'
+        : `${issues.length} potential security issues (${critical} high or critical)`
+    };
+  }
+
+  getGroupRecommendations() {
+    return {
+      transport: 'Serve every page and subresource over HTTPS and enable HSTS',
+      forms: 'Post forms over HTTPS with anti-CSRF tokens and never send passwords with GET',
+      scripts: 'Add integrity hashes to third-party scripts and move inline handlers into script files',
+      links: 'Add rel="noopener noreferrer" to links that open new tabs',
+      storage: 'Mark session cookies HttpOnly and Secure and keep tokens out of localStorage',
+      headers: 'Deploy a strict Content-Security-Policy without unsafe-inline/unsafe-eval'
+    };
+  }
+
+  // Report-model section; reads the grouped findings so each one keeps its group's recommendation
+  toReportSection(report) {
+    const groupRecommendations = this.getGroupRecommendations();
+
+    return {
+      id: 'security',
+      source: 'SecurityAnalyzer',
+      title: '🔒 Security Analysis',
+      summary: report.summary,
+      findings: Object.entries(this.findings).flatMap(([group, issues]) => issues.map(issue => ({
+        category: group,
+        severity: issue.severity,
+        title: issue.type,
+        description: issue.issue,
+        evidence: issue.examples || [],
+        recommendation: groupRecommendations[group]
+      })))
+    };
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.SecurityAnalyzer = SecurityAnalyzer;
+
+  if (window.analyzerRegistry) {
+    window.analyzerRegistry.register({
+      id: 'security',
+      label: 'Security analyzer',
+      modes: ['security'],
+      order: 10,
+      analyze(context) {
+        context.analyzer = new SecurityAnalyzer();
+        return context.analyzer.analyzeSecurity();
+      },
+      toFindings: (report, context) => context.analyzer.toReportSection(report)
+    });
+  }
+}
@@ -0,0 +1,256 @@
+class StackTraceResolver {
+  constructor(options = {}) {
+    this.maxFrames = options.maxFrames || 10;
+    this.fetchTimeout = options.fetchTimeout || 5000;
+    this.sourceMapCache = new Map();
+    this.base64Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  }
+
+  // Parses V8 ("at fn (url:1:2)") and Firefox/Safari ("fn@url:1:2") stack formats
+  parseStack(stack) {
+    if (!stack) return [];
+
+    const frames = [];
+    const lines = String(stack).split('\n');
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      let match = line.match(/^at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/);
+
+      if (!match) {
+        match = line.match(/^(.*?)@(.+?):(\d+):(\d+)$/);
+      }
+
+      if (match) {
+        frames.push({
+          functionName: match[1] || '<anonymous>',
+          file: match[2].replace(/^async /, ''),
+          line: Number(match[3]),
+          column: Number(match[4]),
+          raw: line
+        });
+      }
+
+      if (frames.length >= this.maxFrames) break;
+    }
+
+    return frames;
+  }
+
+  async resolveError(errorInfo) {
+    const frames = this.parseStack(errorInfo.stack);
+
+    if (frames.length === 0 && errorInfo.file && errorInfo.line) {
+      frames.push({
+        functionName: '<anonymous>',
+        file: errorInfo.file,
+        line: errorInfo.line,
+        column: errorInfo.column || 1,
+        raw: `at ${errorInfo.file}:${errorInfo.line}:${errorInfo.column || 1}`
+      });
+    }
+
+    const resolvedFrames = await Promise.all(frames.map(frame => this.resolveFrame(frame)));
+    const topFrame = resolvedFrames[0];
+
+    return {
+      ...errorInfo,
+      file: errorInfo.file || topFrame?.file || null,
+      line: errorInfo.line || topFrame?.line || null,
+      column: errorInfo.column || topFrame?.column || null,
+      frames: resolvedFrames,
+      sourceMapped: resolvedFrames.some(frame => frame.original)
+    };
+  }
+
+  async resolveFrame(frame) {
+    try {
+      if (!/^https?:/.test(frame.file)) {
+        return frame;
+      }
+
+      const sourceMap = await this.getSourceMap(frame.file);
+      if (!sourceMap) {
+        return frame;
+      }
+
+      const original = this.lookupOriginalPosition(sourceMap, frame.line, frame.column);
+      return original ? { ...frame, original } : frame;
+    } catch (error) {
+      return frame;
+    }
+  }
+
+  getSourceMap(scriptUrl) {
+    if (!this.sourceMapCache.has(scriptUrl)) {
+      this.sourceMapCache.set(scriptUrl, this.loadSourceMap(scriptUrl).catch(() => null));
+    }
+    return this.sourceMapCache.get(scriptUrl);
+  }
+
+  async loadSourceMap(scriptUrl) {
+    const scriptResponse = await this.fetchWithTimeout(scriptUrl);
+    const headerMapUrl = scriptResponse.headers.get('SourceMap') || scriptResponse.headers.get('X-SourceMap');
+    const scriptText = await scriptResponse.text();
+
+    let mapUrl = headerMapUrl;
+    if (!mapUrl) {
+      // The last sourceMappingURL comment wins, as in DevTools
+      const matches = [...scriptText.matchAll(/\/[/*][#@]\s*sourceMappingURL=([^\s*'"]+)/g)];
+      mapUrl = matches.length > 0 ? matches[matches.length - 1][1] : null;
+    }
+
+    if (!mapUrl) {
+      return null;
+    }
+
+    let rawMap;
+    if (mapUrl.startsWith('data:')) {
+      const base64 = mapUrl.slice(mapUrl.indexOf(',') + 1);
+      rawMap = JSON.parse(decodeURIComponent(escape(atob(base64))));
+    } else {
+      const absoluteMapUrl = new URL(mapUrl, scriptUrl).toString();
+      const mapResponse = await this.fetchWithTimeout(absoluteMapUrl);
+      rawMap = await mapResponse.json();
+      rawMap.url = absoluteMapUrl;
+    }
+
+    // Indexed ("sections") maps are rare in production bundles and are left unresolved
+    if (!rawMap.mappings || rawMap.sections) {
+      return null;
+    }
+
+    return {
+      sources: rawMap.sources || [],
+      names: rawMap.names || [],
+      sourceRoot: rawMap.sourceRoot || '',
+      lines: this.decodeMappings(rawMap.mappings)
+    };
+  }
+
+  async fetchWithTimeout(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.fetchTimeout);
+
+    try {
+      const response = await fetch(url, { signal: controller.signal, cache: 'force-cache', credentials: 'same-origin' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${url}`);
+      }
+      return response;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Stack positions are 1-based; source map columns are 0-based
+  lookupOriginalPosition(sourceMap, line, column) {
+    const segments = sourceMap.lines[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    const targetColumn = column - 1;
+    let match = null;
+
+    for (const segment of segments) {
+      if (segment[0] > targetColumn) break;
+      match = segment;
+    }
+
+    if (!match || match.length < 4) return null;
+
+    const source = sourceMap.sources[match[1]];
+    return {
+      file: this.cleanSourcePath(sourceMap.sourceRoot + (source || 'unknown')),
+      line: match[2] + 1,
+      column: match[3] + 1,
+      name: match.length > 4 ? sourceMap.names[match[4]] || null : null
+    };
+  }
+
+  cleanSourcePath(path) {
+    return path
+      .replace(/^webpack:\/\/\/?(?:[^/]+\/)?/, '')
+      .replace(/^\.\//, '')
+      .replace(/\?[^/]*$/, '');
+  }
+
+  // Decodes the VLQ "mappings" string into absolute [genColumn, sourceIndex, line, column, nameIndex] segments per line
+  decodeMappings(mappings) {
+    const lines = [];
+    let sourceIndex = 0;
+    let originalLine = 0;
+    let originalColumn = 0;
+    let nameIndex = 0;
+
+    for (const lineText of mappings.split(';')) {
+      const segments = [];
+      let generatedColumn = 0;
+
+      for (const segmentText of lineText.split(',')) {
+        if (!segmentText) continue;
+
+        const values = this.decodeVLQ(segmentText);
+        generatedColumn += values[0];
+        const segment = [generatedColumn];
+
+        if (values.length >= 4) {
+          sourceIndex += values[1];
+          originalLine += values[2];
+          originalColumn += values[3];
+          segment.push(sourceIndex, originalLine, originalColumn);
+
+          if (values.length >= 5) {
+            nameIndex += values[4];
+            segment.push(nameIndex);
+          }
+        }
+
+        segments.push(segment);
+      }
+
+      segments.sort((a, b) => a[0] - b[0]);
+      lines.push(segments);
+    }
+
+    return lines;
+  }
+
+  decodeVLQ(text) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of text) {
+      const digit = this.base64Chars.indexOf(char);
+      if (digit === -1) {
+        throw new Error(`Invalid VLQ character: ${char}`);
+      }
+
+      value += (digit & 31) << shift;
+
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        const negative = value & 1;
+        value >>= 1;
+        values.push(negative ? -value : value);
+        value = 0;
+        shift = 0;
+      }
+    }
+
+    return values;
+  }
+
+  formatFrame(frame) {
+    if (frame.original) {
+      const name = frame.original.name || frame.functionName;
+      return `at ${name} (${frame.original.file}:${frame.original.line}:${frame.original.column})`;
+    }
+    return `at ${frame.functionName} (${frame.file}:${frame.line}:${frame.column})`;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.StackTraceResolver = StackTraceResolver;
+}
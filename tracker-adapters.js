@@ -0,0 +1,565 @@
+// Issue trackers behind one interface, so the popup files a report the same way wherever it goes.
+//
+// Adapter: {
+//   id, label,
+//   isConfigured(),
+//   submitIssue(ticket, attachments: [{ fileName, dataUrl }]) -> { issueNumber, issueLabel, url, attachmentErrors },
+//   getOrigin() -> host permission pattern for the tracker's API,
+//   testConnection() -> true (throws on failure)
+// }
+// ticket comes from ReportModel.toTicket. Every base URL is a setting, so adapters can be pointed at a local stub.
+class TrackerAdapter {
+  constructor(settings) {
+    this.fieldMapping = settings.fieldMapping || {};
+  }
+
+  // The issue exists once createIssue returns, so attachment failures are reported rather than thrown
+  async submitIssue(ticket, attachments = []) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.label} is not configured - add the connection details in Options`);
+    }
+
+    const issue = await this.createIssue(ticket);
+    const attachmentErrors = [];
+    const uploaded = [];
+
+    for (const attachment of attachments) {
+      try {
+        uploaded.push(await this.uploadAttachment(issue, attachment));
+      } catch (error) {
+        attachmentErrors.push(`${attachment.fileName}: ${error.message}`);
+      }
+    }
+
+    if (uploaded.length > 0) {
+      try {
+        await this.linkAttachments(issue, uploaded);
+      } catch (error) {
+        attachmentErrors.push(`linking attachments: ${error.message}`);
+      }
+    }
+
+    return {
+      issueNumber: issue.id,
+      issueLabel: issue.label,
+      url: issue.url,
+      attachmentErrors
+    };
+  }
+
+  // Trackers that attach uploads to the issue directly need nothing more
+  async linkAttachments() {}
+
+  getOrigin() {
+    return `${new URL(this.baseUrl).origin}/*`;
+  }
+
+  // Tracker value for a report field. Unmapped categories pass through as they are; mapping a value to nothing
+  // leaves the field out, for trackers where it doesn't exist.
+  mapField(kind, value) {
+    if (!value) return null;
+
+    const mapping = this.fieldMapping[kind] || {};
+    const key = String(value).trim().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+      return mapping[key] || null;
+    }
+    return kind === 'category' ? String(value).trim() : null;
+  }
+
+  // Pattern analysis doesn't set a priority, so it follows the severity
+  mapPriority(ticket) {
+    const fromSeverity = { critical: 'immediate', high: 'high', medium: 'medium', low: 'low', info: 'low' };
+    return this.mapField('priority', ticket.priority || fromSeverity[ticket.severity]);
+  }
+
+  // Severity, priority and category as labels, for trackers that have no fields for them
+  getLabels(ticket) {
+    return [...new Set([
+      this.mapField('severity', ticket.severity),
+      this.mapPriority(ticket),
+      this.mapField('category', ticket.category)
+    ].filter(Boolean))];
+  }
+
+  // body is sent as JSON unless it is a Blob or FormData; options: { contentType, headers }
+  async request(method, path, body, options = {}) {
+    const isRaw = body instanceof Blob || body instanceof FormData;
+    const headers = { ...this.getHeaders(), ...options.headers };
+    if (body !== undefined && !isRaw) {
+      headers['Content-Type'] = options.contentType || 'application/json';
+    } else if (body instanceof Blob) {
+      headers['Content-Type'] = options.contentType || body.type || 'application/octet-stream';
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : isRaw ? body : JSON.stringify(body)
+    });
+    const responseText = await response.text();
+
+    if (!response.ok) {
+      const error = new Error(`${this.label} API error: ${response.status} ${response.statusText} - ${responseText.slice(0, 200)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    try {
+      return responseText ? JSON.parse(responseText) : null;
+    } catch {
+      return responseText;
+    }
+  }
+
+  static parseDataUrl(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const mimeType = (header.match(/^data:([^;]+)/) || [])[1] || 'application/octet-stream';
+    const bytes = Uint8Array.from(atob(base64), character => character.charCodeAt(0));
+    return { mimeType, base64, blob: new Blob([bytes], { type: mimeType }) };
+  }
+
+  static truncate(text, maxLength) {
+    const value = String(text || '');
+    return value.length > maxLength ? `${value.slice(0, maxLength - 3)}...` : value;
+  }
+
+  static trimUrl(value) {
+    return (value || '').trim().replace(/\/+$/, '');
+  }
+}
+
+class IssuetrakAdapter extends TrackerAdapter {
+  constructor(settings) {
+    super(settings);
+    this.id = 'issuetrak';
+    this.label = 'Issuetrak';
+
+    // Issuetrak takes lookup IDs; a mapping left empty drops the field from the payload
+    const toIds = mapping => Object.fromEntries(Object.entries(mapping || {}).map(([key, value]) => [key, Number(value) || undefined]));
+    this.client = new IssuetrakClient({
+      ...settings,
+      priorityIds: this.fieldMapping.priority ? toIds(this.fieldMapping.priority) : undefined,
+      severityIds: this.fieldMapping.severity ? toIds(this.fieldMapping.severity) : undefined
+    });
+    this.baseUrl = this.client.baseUrl;
+  }
+
+  isConfigured() {
+    return this.client.isConfigured();
+  }
+
+  // The category is the subject prefix in Issuetrak
+  async submitIssue(ticket, attachments = []) {
+    const result = await this.client.submitIssue({ ...ticket, category: this.mapField('category', ticket.category) }, attachments);
+    return { ...result, issueLabel: `#${result.issueNumber}` };
+  }
+
+  async testConnection() {
+    return this.client.testConnection();
+  }
+}
+
+class GitHubAdapter extends TrackerAdapter {
+  constructor(settings) {
+    super(settings);
+    this.id = 'github';
+    this.label = 'GitHub';
+    this.baseUrl = TrackerAdapter.trimUrl(settings.apiUrl) || 'https://api.github.com';
+    this.token = (settings.token || '').trim();
+    this.repository = (settings.repository || '').trim().replace(/^\/+|\/+$/g, '');
+    this.attachmentBranch = (settings.attachmentBranch || '').trim();
+  }
+
+  isConfigured() {
+    return Boolean(this.token && /^[^/\s]+\/[^/\s]+$/.test(this.repository));
+  }
+
+  getHeaders() {
+    return {
+      Accept: 'application/vnd.github+json',
+      Authorization: `Bearer ${this.token}`,
+      'X-GitHub-Api-Version': '2022-11-28'
+    };
+  }
+
+  getRepositoryPath() {
+    return `/repos/${this.repository.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  async createIssue(ticket) {
+    const data = await this.request('POST', `${this.getRepositoryPath()}/issues`, {
+      title: TrackerAdapter.truncate(ticket.title, 256),
+      body: TrackerAdapter.truncate(ticket.description, 65536),
+      labels: this.getLabels(ticket)
+    });
+    return { id: data.number, label: `#${data.number}`, url: data.html_url };
+  }
+
+  // GitHub has no API for issue attachments, so files are committed to a branch kept for them and linked in a comment
+  async uploadAttachment(issue, attachment) {
+    if (!this.attachmentBranch) {
+      throw new Error('GitHub has no attachment API - set an attachment branch in Options to upload files');
+    }
+
+    const { base64, mimeType } = TrackerAdapter.parseDataUrl(attachment.dataUrl);
+    const path = ['bug-reports', `issue-${issue.id}`, attachment.fileName].map(encodeURIComponent).join('/');
+    const data = await this.request('PUT', `${this.getRepositoryPath()}/contents/${path}`, {
+      message: `Attach ${attachment.fileName} to #${issue.id}`,
+      content: base64,
+      branch: this.attachmentBranch
+    });
+    return { fileName: attachment.fileName, url: data.content.html_url, isImage: mimeType.startsWith('image/') };
+  }
+
+  async linkAttachments(issue, uploaded) {
+    await this.request('POST', `${this.getRepositoryPath()}/issues/${issue.id}/comments`, {
+      body: uploaded.map(file => file.isImage ? `![${file.fileName}](${file.url}?raw=true)` : `[${file.fileName}](${file.url})`).join('\n\n')
+    });
+  }
+
+  async testConnection() {
+    await this.request('GET', this.getRepositoryPath());
+    return true;
+  }
+}
+
+class GitLabAdapter extends TrackerAdapter {
+  constructor(settings) {
+    super(settings);
+    this.id = 'gitlab';
+    this.label = 'GitLab';
+    this.baseUrl = `${TrackerAdapter.trimUrl(settings.baseUrl) || 'https://gitlab.com'}/api/v4`;
+    this.token = (settings.token || '').trim();
+    this.project = (settings.project || '').trim().replace(/^\/+|\/+$/g, '');
+  }
+
+  isConfigured() {
+    return Boolean(this.token && this.project);
+  }
+
+  getHeaders() {
+    return { 'PRIVATE-TOKEN': this.token };
+  }
+
+  // Numeric ID or "group/project" path
+  getProjectPath() {
+    return `/projects/${encodeURIComponent(this.project)}`;
+  }
+
+  async createIssue(ticket) {
+    const data = await this.request('POST', `${this.getProjectPath()}/issues`, {
+      title: TrackerAdapter.truncate(ticket.title, 255),
+      description: TrackerAdapter.truncate(ticket.description, 1000000),
+      labels: this.getLabels(ticket).join(',')
+    });
+    return { id: data.iid, label: `#${data.iid}`, url: data.web_url };
+  }
+
+  // Uploads belong to the project; the returned markdown is what makes them show on the issue
+  async uploadAttachment(issue, attachment) {
+    const form = new FormData();
+    form.append('file', TrackerAdapter.parseDataUrl(attachment.dataUrl).blob, attachment.fileName);
+    const data = await this.request('POST', `${this.getProjectPath()}/uploads`, form);
+    return { fileName: attachment.fileName, markdown: data.markdown };
+  }
+
+  async linkAttachments(issue, uploaded) {
+    await this.request('POST', `${this.getProjectPath()}/issues/${issue.id}/notes`, {
+      body: uploaded.map(file => file.markdown).join('\n\n')
+    });
+  }
+
+  async testConnection() {
+    await this.request('GET', this.getProjectPath());
+    return true;
+  }
+}
+
+// Jira Cloud signs in with an account email and API token, Server and Data Center with a personal access token
+class JiraAdapter extends TrackerAdapter {
+  constructor(settings) {
+    super(settings);
+    this.id = 'jira';
+    this.label = 'Jira';
+    this.siteUrl = TrackerAdapter.trimUrl(settings.baseUrl);
+    this.baseUrl = `${this.siteUrl}/rest/api/2`;
+    this.email = (settings.email || '').trim();
+    this.token = (settings.token || '').trim();
+    this.projectKey = (settings.projectKey || '').trim().toUpperCase();
+    this.issueType = (settings.issueType || '').trim() || 'Bug';
+  }
+
+  isConfigured() {
+    return Boolean(this.siteUrl && this.token && this.projectKey);
+  }
+
+  getHeaders() {
+    return {
+      Accept: 'application/json',
+      Authorization: this.email ? `Basic ${btoa(`${this.email}:${this.token}`)}` : `Bearer ${this.token}`
+    };
+  }
+
+  async createIssue(ticket) {
+    const priority = this.mapPriority(ticket);
+    const fields = {
+      project: { key: this.projectKey },
+      issuetype: { name: this.issueType },
+      summary: TrackerAdapter.truncate(ticket.title.replace(/\s+/g, ' '), 255),
+      description: TrackerAdapter.truncate(ticket.description, 32000),
+      // Jira labels can't contain spaces
+      labels: [this.mapField('severity', ticket.severity), this.mapField('category', ticket.category)]
+        .filter(Boolean)
+        .map(label => label.replace(/\s+/g, '-'))
+    };
+
+    if (priority) {
+      fields.priority = { name: priority };
+    }
+
+    const data = await this.request('POST', '/issue', { fields });
+    return { id: data.key, label: data.key, url: `${this.siteUrl}/browse/${data.key}` };
+  }
+
+  async uploadAttachment(issue, attachment) {
+    const form = new FormData();
+    form.append('file', TrackerAdapter.parseDataUrl(attachment.dataUrl).blob, attachment.fileName);
+    await this.request('POST', `/issue/${encodeURIComponent(issue.id)}/attachments`, form, {
+      headers: { 'X-Atlassian-Token': 'no-check' }
+    });
+    return { fileName: attachment.fileName };
+  }
+
+  async testConnection() {
+    await this.request('GET', `/project/${encodeURIComponent(this.projectKey)}`);
+    return true;
+  }
+}
+
+// Organization URL is https://dev.azure.com/{organization} for Azure DevOps Services, or the collection URL on Server
+class AzureDevOpsAdapter extends TrackerAdapter {
+  constructor(settings) {
+    super(settings);
+    this.id = 'azuredevops';
+    this.label = 'Azure DevOps';
+    this.baseUrl = TrackerAdapter.trimUrl(settings.organizationUrl);
+    this.project = (settings.project || '').trim();
+    this.token = (settings.token || '').trim();
+    this.workItemType = (settings.workItemType || '').trim() || 'Bug';
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl && this.project && this.token);
+  }
+
+  getHeaders() {
+    return { Accept: 'application/json', Authorization: `Basic ${btoa(`:${this.token}`)}` };
+  }
+
+  getProjectPath() {
+    return `/${encodeURIComponent(this.project)}/_apis/wit`;
+  }
+
+  // Work item fields are set with JSON Patch; Bugs show repro steps rather than a description
+  async createIssue(ticket) {
+    const severity = this.mapField('severity', ticket.severity);
+    const priority = this.mapPriority(ticket);
+    const category = this.mapField('category', ticket.category);
+    const descriptionField = this.workItemType.toLowerCase() === 'bug' ? 'Microsoft.VSTS.TCM.ReproSteps' : 'System.Description';
+    const operations = [
+      { op: 'add', path: '/fields/System.Title', value: TrackerAdapter.truncate(ticket.title, 255) },
+      { op: 'add', path: `/fields/${descriptionField}`, value: MarkdownRenderer.toHTML(ticket.description) }
+    ];
+
+    if (severity) {
+      operations.push({ op: 'add', path: '/fields/Microsoft.VSTS.Common.Severity', value: severity });
+    }
+    if (priority) {
+      operations.push({ op: 'add', path: '/fields/Microsoft.VSTS.Common.Priority', value: Number(priority) || priority });
+    }
+    if (category) {
+      operations.push({ op: 'add', path: '/fields/System.Tags', value: category });
+    }
+
+    const data = await this.request('POST', `${this.getProjectPath()}/workitems/$${encodeURIComponent(this.workItemType)}?api-version=7.0`,
+      operations, { contentType: 'application/json-patch+json' });
+    const url = data._links && data._links.html ? data._links.html.href : `${this.baseUrl}/${encodeURIComponent(this.project)}/_workitems/edit/${data.id}`;
+    return { id: data.id, label: `#${data.id}`, url };
+  }
+
+  async uploadAttachment(issue, attachment) {
+    const data = await this.request('POST',
+      `${this.getProjectPath()}/attachments?fileName=${encodeURIComponent(attachment.fileName)}&api-version=7.0`,
+      TrackerAdapter.parseDataUrl(attachment.dataUrl).blob, { contentType: 'application/octet-stream' });
+    return { fileName: attachment.fileName, url: data.url };
+  }
+
+  async linkAttachments(issue, uploaded) {
+    await this.request('PATCH', `${this.getProjectPath()}/workitems/${issue.id}?api-version=7.0`,
+      uploaded.map(file => ({
+        op: 'add',
+        path: '/relations/-',
+        value: { rel: 'AttachedFile', url: file.url, attributes: { comment: file.fileName } }
+      })), { contentType: 'application/json-patch+json' });
+  }
+
+  async testConnection() {
+    await this.request('GET', `/_apis/projects/${encodeURIComponent(this.project)}?api-version=7.0`);
+    return true;
+  }
+}
+
+class TrackerAdapters {
+  static get labels() {
+    return {
+      issuetrak: 'Issuetrak',
+      github: 'GitHub',
+      gitlab: 'GitLab',
+      jira: 'Jira',
+      azuredevops: 'Azure DevOps'
+    };
+  }
+
+  static get fieldKinds() {
+    return ['severity', 'priority', 'category'];
+  }
+
+  // chrome.storage.sync keys for every tracker; trackerType picks the one reports are submitted to.
+  // Field mappings are { severity: { level: value }, priority: { level: value }, category: { name: value } }.
+  static get settingsDefaults() {
+    const levels = (values, format) => Object.fromEntries(values.map((level, index) => [level, format(level, index)]));
+    const severities = ['critical', 'high', 'medium', 'low', 'info'];
+    const priorities = ['immediate', 'high', 'medium', 'low'];
+
+    return {
+      trackerType: 'issuetrak',
+      issuetrakBaseUrl: '',
+      issuetrakApiKey: '',
+      issuetrakProjectId: '',
+      issuetrakIssueTypeId: '',
+      issuetrakSubmittedBy: '',
+      issuetrakFieldMapping: {
+        severity: { critical: '1', high: '2', medium: '3', low: '4' },
+        priority: { immediate: '1', high: '2', medium: '3', low: '4' },
+        category: {}
+      },
+      githubApiUrl: 'https://api.github.com',
+      githubToken: '',
+      githubRepository: '',
+      githubAttachmentBranch: '',
+      githubFieldMapping: {
+        severity: levels(severities, level => `severity:${level}`),
+        priority: levels(priorities, level => `priority:${level}`),
+        category: {}
+      },
+      gitlabBaseUrl: 'https://gitlab.com',
+      gitlabToken: '',
+      gitlabProject: '',
+      gitlabFieldMapping: {
+        severity: levels(severities, level => `severity::${level}`),
+        priority: levels(priorities, level => `priority::${level}`),
+        category: {}
+      },
+      jiraBaseUrl: '',
+      jiraEmail: '',
+      jiraToken: '',
+      jiraProjectKey: '',
+      jiraIssueType: 'Bug',
+      jiraFieldMapping: {
+        severity: levels(severities, level => `severity-${level}`),
+        priority: { immediate: 'Highest', high: 'High', medium: 'Medium', low: 'Low' },
+        category: {}
+      },
+      azureDevOpsOrganizationUrl: '',
+      azureDevOpsProject: '',
+      azureDevOpsToken: '',
+      azureDevOpsWorkItemType: 'Bug',
+      azureDevOpsFieldMapping: {
+        severity: { critical: '1 - Critical', high: '2 - High', medium: '3 - Medium', low: '4 - Low', info: '4 - Low' },
+        priority: levels(priorities, (level, index) => String(index + 1)),
+        category: {}
+      }
+    };
+  }
+
+  // Always returns an adapter; submitIssue explains what is missing when it isn't configured
+  static create(settings) {
+    switch (settings.trackerType) {
+      case 'github':
+        return new GitHubAdapter({
+          apiUrl: settings.githubApiUrl,
+          token: settings.githubToken,
+          repository: settings.githubRepository,
+          attachmentBranch: settings.githubAttachmentBranch,
+          fieldMapping: settings.githubFieldMapping
+        });
+      case 'gitlab':
+        return new GitLabAdapter({
+          baseUrl: settings.gitlabBaseUrl,
+          token: settings.gitlabToken,
+          project: settings.gitlabProject,
+          fieldMapping: settings.gitlabFieldMapping
+        });
+      case 'jira':
+        return new JiraAdapter({
+          baseUrl: settings.jiraBaseUrl,
+          email: settings.jiraEmail,
+          token: settings.jiraToken,
+          projectKey: settings.jiraProjectKey,
+          issueType: settings.jiraIssueType,
+          fieldMapping: settings.jiraFieldMapping
+        });
+      case 'azuredevops':
+        return new AzureDevOpsAdapter({
+          organizationUrl: settings.azureDevOpsOrganizationUrl,
+          project: settings.azureDevOpsProject,
+          token: settings.azureDevOpsToken,
+          workItemType: settings.azureDevOpsWorkItemType,
+          fieldMapping: settings.azureDevOpsFieldMapping
+        });
+      default:
+        return new IssuetrakAdapter({
+          baseUrl: settings.issuetrakBaseUrl,
+          apiKey: settings.issuetrakApiKey,
+          projectId: settings.issuetrakProjectId,
+          issueTypeId: settings.issuetrakIssueTypeId,
+          submittedBy: settings.issuetrakSubmittedBy,
+          fieldMapping: settings.issuetrakFieldMapping
+        });
+    }
+  }
+
+  // Options page format, one "kind.value = tracker value" per line, e.g. "severity.critical = P1"
+  static parseFieldMapping(text) {
+    const mapping = Object.fromEntries(TrackerAdapters.fieldKinds.map(kind => [kind, {}]));
+
+    text.split('\n')
+      .map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+      .filter(({ line }) => line && !line.startsWith('#'))
+      .forEach(({ line, lineNumber }) => {
+        const match = line.match(/^(\w+)\.([^=]+?)\s*=\s*(.*)$/);
+        if (!match || !mapping[match[1].toLowerCase()]) {
+          throw new Error(`Line ${lineNumber}: write mappings as "severity.critical = value" (kinds: ${TrackerAdapters.fieldKinds.join(', ')})`);
+        }
+        mapping[match[1].toLowerCase()][match[2].trim().toLowerCase()] = match[3].trim();
+      });
+
+    return mapping;
+  }
+
+  static formatFieldMapping(mapping) {
+    return TrackerAdapters.fieldKinds
+      .flatMap(kind => Object.entries(mapping[kind] || {}).map(([key, value]) => `${kind}.${key} = ${value}`))
+      .join('\n');
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.TrackerAdapters = TrackerAdapters;
+  window.IssuetrakAdapter = IssuetrakAdapter;
+  window.GitHubAdapter = GitHubAdapter;
+  window.GitLabAdapter = GitLabAdapter;
+  window.JiraAdapter = JiraAdapter;
+  window.AzureDevOpsAdapter = AzureDevOpsAdapter;
+}
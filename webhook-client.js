@@ -0,0 +1,274 @@
+// Posts reports to a generic webhook - Slack or Teams bots, internal services - as a JSON body built from a template.
+//
+// Templates are JSON with {{field}} placeholders; fields are the keys of getContext and can be followed into
+// nested values ({{findings.0.title}}). A placeholder on its own or filling a whole string ("{{findings}}") becomes
+// the JSON value, so arrays and numbers keep their type; inside longer text the value is inserted as text, with
+// arrays one item per line. Filters follow a pipe: {{summary | truncate:200}}, see templateFilters.
+class WebhookClient {
+  constructor(settings) {
+    this.url = (settings.url || '').trim();
+    this.headers = settings.headers || {};
+    this.template = settings.template || WebhookClient.defaultTemplate;
+    this.retries = Math.min(Math.max(parseInt(settings.retries, 10) || 0, 0), 10);
+    this.retryDelay = settings.retryDelay || 1000;
+  }
+
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  getOrigin() {
+    return `${new URL(this.url).origin}/*`;
+  }
+
+  static get defaultTemplate() {
+    return `{
+  "text": "[{{severity | upper}}] {{summary}}\\n{{url}}",
+  "report": {
+    "title": "{{title}}",
+    "severity": "{{severity}}",
+    "priority": "{{priority}}",
+    "category": "{{category}}",
+    "url": "{{url}}",
+    "consoleErrors": "{{consoleErrors}}",
+    "generatedAt": "{{generatedAt}}"
+  }
+}`;
+  }
+
+  // chrome.storage.sync keys; webhookHeaders is { name: value }
+  static get settingsDefaults() {
+    return {
+      webhookUrl: '',
+      webhookHeaders: {},
+      webhookTemplate: WebhookClient.defaultTemplate,
+      webhookRetries: 3
+    };
+  }
+
+  static create(settings) {
+    return new WebhookClient({
+      url: settings.webhookUrl,
+      headers: settings.webhookHeaders,
+      template: settings.webhookTemplate,
+      retries: settings.webhookRetries
+    });
+  }
+
+  // Network errors, timeouts, rate limits and server errors are retried with exponential backoff (or the server's
+  // Retry-After); other 4xx answers mean the request itself is wrong and fail straight away.
+  // Returns { status, attempts, responseText }
+  async send(context) {
+    const body = WebhookClient.render(this.template, context);
+
+    for (let attempt = 1; ; attempt++) {
+      let retryAfter = null;
+      try {
+        const response = await fetch(this.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...this.headers },
+          body
+        });
+        const responseText = await response.text();
+
+        if (response.ok) {
+          return { status: response.status, attempts: attempt, responseText };
+        }
+
+        const error = new Error(`Webhook error: ${response.status} ${response.statusText} - ${responseText.slice(0, 200)}`);
+        error.status = response.status;
+        error.retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+        retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        throw error;
+      } catch (error) {
+        // fetch rejects with a TypeError when the server can't be reached
+        if (error.retryable === false || attempt > this.retries) {
+          error.attempts = attempt;
+          throw error;
+        }
+        const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : this.retryDelay * 2 ** (attempt - 1);
+        console.warn(`Webhook attempt ${attempt} failed, retrying:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, Math.min(delay, 30000)));
+      }
+    }
+  }
+
+  // Template fields for a report document
+  static getContext(reportDocument) {
+    const ticket = ReportModel.toTicket(reportDocument);
+    const analysis = reportDocument.analysis;
+    const consoleErrors = [...new Set([
+      ...reportDocument.errors.map(error => `${error.name}: ${error.message}`),
+      ...reportDocument.consoleLogs.filter(log => log.method === 'error').map(log => log.args.join(' '))
+    ])];
+
+    return {
+      title: ticket.title,
+      summary: analysis.summary || ticket.title,
+      severity: ticket.severity,
+      priority: analysis.priority || null,
+      category: analysis.category || null,
+      url: reportDocument.page.url,
+      pageTitle: reportDocument.page.title,
+      analysisMode: reportDocument.analysisMode,
+      engine: analysis.engine,
+      model: analysis.model || null,
+      rootCause: analysis.rootCause || null,
+      suggestedFix: analysis.suggestedFix || null,
+      consoleErrors,
+      consoleErrorCount: consoleErrors.length,
+      findings: ticket.findings,
+      generatedAt: reportDocument.generatedAt,
+      report: ticket.description
+    };
+  }
+
+  // Stands in for a report when sending a test payload or checking a template on save
+  static get sampleContext() {
+    return {
+      title: 'Checkout button does nothing',
+      summary: 'Clicking "Place order" throws a TypeError and the order is never submitted.',
+      severity: 'high',
+      priority: 'high',
+      category: 'functional',
+      url: 'https://shop.example.com/checkout',
+      pageTitle: 'Checkout - Example Shop',
+      analysisMode: 'general',
+      engine: 'pattern',
+      model: null,
+      rootCause: 'cart.items is undefined when the order summary renders',
+      suggestedFix: 'Default cart.items to an empty array',
+      consoleErrors: ["TypeError: Cannot read properties of undefined (reading 'length')"],
+      consoleErrorCount: 1,
+      findings: [{ title: 'Uncaught TypeError in checkout.js', severity: 'high', source: 'console' }],
+      generatedAt: new Date().toISOString(),
+      report: '## Test payload\n\nSent from the IssuetrakQAI options page.'
+    };
+  }
+
+  static get templateFilters() {
+    return {
+      upper: value => WebhookClient.toText(value).toUpperCase(),
+      lower: value => WebhookClient.toText(value).toLowerCase(),
+      truncate: (value, length) => {
+        const text = WebhookClient.toText(value);
+        const max = parseInt(length, 10) || 100;
+        return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+      },
+      join: (value, separator = ', ') => Array.isArray(value) ? value.map(WebhookClient.toText).join(separator) : value,
+      first: value => Array.isArray(value) ? value[0] ?? null : value,
+      json: value => JSON.stringify(value ?? null),
+      default: (value, fallback = '') => value === null || value === undefined || value === '' ||
+        (Array.isArray(value) && value.length === 0) ? fallback : value
+    };
+  }
+
+  // Throws on unknown fields or filters and when the result isn't valid JSON, so template mistakes show up on save
+  static render(template, context) {
+    let output = '';
+    let inString = false;
+    let index = 0;
+
+    while (index < template.length) {
+      const character = template[index];
+
+      if (!inString && character === '"') {
+        const whole = template.slice(index).match(/^"\{\{([^{}]+)\}\}"/);
+        if (whole) {
+          output += JSON.stringify(WebhookClient.resolve(whole[1], context) ?? null);
+          index += whole[0].length;
+          continue;
+        }
+      }
+
+      if (template.startsWith('{{', index)) {
+        const end = template.indexOf('}}', index);
+        if (end === -1) {
+          throw new Error('Template has a "{{" without a closing "}}"');
+        }
+        const value = WebhookClient.resolve(template.slice(index + 2, end), context);
+        output += inString ? JSON.stringify(WebhookClient.toText(value)).slice(1, -1) : JSON.stringify(value ?? null);
+        index = end + 2;
+        continue;
+      }
+
+      if (character === '\\' && inString) {
+        output += template.slice(index, index + 2);
+        index += 2;
+        continue;
+      }
+      if (character === '"') {
+        inString = !inString;
+      }
+      output += character;
+      index++;
+    }
+
+    try {
+      JSON.parse(output);
+    } catch (error) {
+      throw new Error(`Template is not valid JSON once filled in: ${error.message}`);
+    }
+    return output;
+  }
+
+  // "path | filter:argument | ..." -> value
+  static resolve(expression, context) {
+    const [path, ...filters] = expression.split('|').map(part => part.trim());
+    const [field, ...keys] = path.split('.');
+
+    if (!Object.prototype.hasOwnProperty.call(context, field)) {
+      throw new Error(`Unknown template field "${field}" - available: ${Object.keys(context).join(', ')}`);
+    }
+
+    const value = keys.reduce((current, key) => current === null || current === undefined ? current : current[key], context[field]);
+
+    return filters.reduce((current, filter) => {
+      const separator = filter.indexOf(':');
+      const name = separator === -1 ? filter : filter.slice(0, separator).trim();
+      const apply = WebhookClient.templateFilters[name];
+      if (!apply) {
+        throw new Error(`Unknown template filter "${name}" - available: ${Object.keys(WebhookClient.templateFilters).join(', ')}`);
+      }
+      return separator === -1 ? apply(current) : apply(current, WebhookClient.decodeArgument(filter.slice(separator + 1)));
+    }, value);
+  }
+
+  // Arguments are written inside the JSON template, so escapes such as \n mean what they would in JSON
+  static decodeArgument(argument) {
+    try {
+      return JSON.parse(`"${argument}"`);
+    } catch {
+      return argument;
+    }
+  }
+
+  static toText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(WebhookClient.toText).join('\n');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  // Options page format, one "Name: value" per line
+  static parseHeaders(text) {
+    return Object.fromEntries(text.split('\n')
+      .map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+      .filter(({ line }) => line && !line.startsWith('#'))
+      .map(({ line, lineNumber }) => {
+        const match = line.match(/^([!#$%&'*+.^_`|~\w-]+)\s*:\s*(.*)$/);
+        if (!match) {
+          throw new Error(`Line ${lineNumber}: write headers as "Name: value"`);
+        }
+        return [match[1], match[2]];
+      }));
+  }
+
+  static formatHeaders(headers) {
+    return Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join('\n');
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.WebhookClient = WebhookClient;
+}
@@ -0,0 +1,143 @@
+// Builds .zip files in the extension pages: text is deflated with the browser's CompressionStream, data that is
+// already compressed (PNG) is stored as-is. Names are UTF-8; there is no zip64, so archives stay under 4 GB.
+class ZipArchive {
+  constructor() {
+    this.entries = [];
+  }
+
+  // content is a string or Uint8Array; pass compress: false for data that won't shrink
+  addFile(name, content, options = {}) {
+    this.entries.push({
+      name,
+      data: typeof content === 'string' ? new TextEncoder().encode(content) : content,
+      compress: options.compress !== false,
+      modifiedAt: options.modifiedAt || new Date()
+    });
+  }
+
+  async generate() {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of this.entries) {
+      const name = encoder.encode(entry.name);
+      const crc = ZipArchive.crc32(entry.data);
+      const deflated = entry.compress ? await ZipArchive.deflate(entry.data) : null;
+      // Stored when deflating didn't help, e.g. tiny files
+      const useDeflate = deflated && deflated.length < entry.data.length;
+      const body = useDeflate ? deflated : entry.data;
+      const { time, date } = ZipArchive.toDosDateTime(entry.modifiedAt);
+
+      const fields = [
+        [2, 20], // version needed to extract
+        [2, 0x0800], // flags: names are UTF-8
+        [2, useDeflate ? 8 : 0],
+        [2, time],
+        [2, date],
+        [4, crc],
+        [4, body.length],
+        [4, entry.data.length],
+        [2, name.length],
+        [2, 0] // extra field length
+      ];
+
+      const local = ZipArchive.pack([[4, 0x04034b50], ...fields]);
+      const central = ZipArchive.pack([
+        [4, 0x02014b50],
+        [2, 20], // version made by
+        ...fields,
+        [2, 0], // comment length
+        [2, 0], // disk number
+        [2, 0], // internal attributes
+        [4, 0], // external attributes
+        [4, offset]
+      ]);
+
+      localParts.push(local, name, body);
+      centralParts.push(central, name);
+      offset += local.length + name.length + body.length;
+    }
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = ZipArchive.pack([
+      [4, 0x06054b50],
+      [2, 0],
+      [2, 0],
+      [2, this.entries.length],
+      [2, this.entries.length],
+      [4, centralSize],
+      [4, offset],
+      [2, 0]
+    ]);
+
+    return ZipArchive.concat([...localParts, ...centralParts, end]);
+  }
+
+  // [[byteLength, value], ...] little-endian
+  static pack(fields) {
+    const bytes = new Uint8Array(fields.reduce((total, [length]) => total + length, 0));
+    const view = new DataView(bytes.buffer);
+    let position = 0;
+    fields.forEach(([length, value]) => {
+      if (length === 2) {
+        view.setUint16(position, value, true);
+      } else {
+        view.setUint32(position, value >>> 0, true);
+      }
+      position += length;
+    });
+    return bytes;
+  }
+
+  static concat(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      result.set(part, position);
+      position += part.length;
+    });
+    return result;
+  }
+
+  static async deflate(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  static get crcTable() {
+    if (!ZipArchive.table) {
+      ZipArchive.table = new Uint32Array(256).map((value, index) => {
+        let crc = index;
+        for (let bit = 0; bit < 8; bit++) {
+          crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+        }
+        return crc;
+      });
+    }
+    return ZipArchive.table;
+  }
+
+  static crc32(data) {
+    const table = ZipArchive.crcTable;
+    let crc = 0xffffffff;
+    for (let index = 0; index < data.length; index++) {
+      crc = table[(crc ^ data[index]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // Zip stores local time at two-second precision, from 1980
+  static toDosDateTime(value) {
+    const year = Math.max(value.getFullYear(), 1980);
+    return {
+      time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.ZipArchive = ZipArchive;
+}